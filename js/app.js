@@ -45,7 +45,7 @@ async function handleWaypointSaveClick() {
                 const lat = position.coords.latitude;
                 const lon = position.coords.longitude;
                 console.log(`[App] Lat: ${lat}, Lon: ${lon}. Awaiting saveNewWaypoint... LOG 8`);
-                await saveNewWaypoint(lat, lon);
+                await saveNewWaypoint(lat, lon, position.coords.altitude);
                 console.log("[App] saveNewWaypoint call completed. LOG 9");
             } else {
                 console.error("[App] Geolocation NOT supported. LOG 10");
@@ -117,6 +117,7 @@ document.addEventListener("DOMContentLoaded", () => {
         }
         if (sectionId === "my-kmls" && typeof initKMLManagement === "function") initKMLManagement();
         if (sectionId === "my-waypoints" && typeof loadAndDisplaySavedWaypoints === "function") loadAndDisplaySavedWaypoints();
+        if (sectionId === "logbook" && window.Logbook) window.Logbook.refresh();
     };
 
     navButtons.forEach(button => {
@@ -128,8 +129,7 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 
     const kmlListContainer = document.getElementById("kml-file-list");
-    if (kmlListContainer && typeof getAllTrails === "function") {
-        const trails = getAllTrails();
+    if (kmlListContainer && typeof trailsReady !== "undefined") trailsReady.then(trails => {
         kmlListContainer.innerHTML = "";
         trails.forEach(trail => {
             if (!trail.id || !trail.name) return;
@@ -150,23 +150,22 @@ document.addEventListener("DOMContentLoaded", () => {
             listItem.appendChild(link);
             kmlListContainer.appendChild(listItem);
         });
-    }
+    });
 
     const trailDetailsContainer = document.getElementById("trail-details");
-    if (trailDetailsContainer && typeof getAllTrails === "function") {
-        const trails = getAllTrails();
+    if (trailDetailsContainer && typeof trailsReady !== "undefined") trailsReady.then(trails => {
         trailDetailsContainer.innerHTML = "";
         trails.forEach(trail => {
             const item = document.createElement("div");
             item.classList.add("trail-item");
             item.innerHTML = `<h3>${trail.name}</h3>
-                ${trail.elevationImage ? `<img src="img/elevation/${trail.elevationImage}" alt="${trail.name} Elevation Profile" style="max-width: 100%; height: auto; margin-top: 10px; margin-bottom: 10px;">` : ''}
+                ${trail.elevationImage ? `<img src="${trail.elevationImage}" alt="${trail.name} Elevation Profile" style="max-width: 100%; height: auto; margin-top: 10px; margin-bottom: 10px;">` : ''}
                 <p><strong>Type:</strong> ${trail.type || 'N/A'}</p>
                 <p>${trail.description || 'No description available.'}</p>
                 <button onclick="viewTrailOnMap('${trail.id}')">View on Map</button>`;
             trailDetailsContainer.appendChild(item);
         });
-    }
+    });
 
     window.viewTrailOnMap = (trailId) => {
         if (trailId && typeof displayTrail === "function") {
@@ -177,21 +176,6 @@ document.addEventListener("DOMContentLoaded", () => {
         } else console.error(`[App] Invalid trailId (${trailId}) or displayTrail function not found.`);
     }
 
-    const trailSelectBooking = document.getElementById("booking-trail");
-    if (trailSelectBooking && typeof getAllTrails === "function") {
-        const trails = getAllTrails();
-        trailSelectBooking.innerHTML = "";
-        const placeholderOption = document.createElement("option");
-        placeholderOption.value = ""; placeholderOption.disabled = true; placeholderOption.selected = true;
-        placeholderOption.textContent = "-- Select a Trail --";
-        trailSelectBooking.appendChild(placeholderOption);
-        trails.forEach(trail => {
-            const option = document.createElement("option");
-            option.value = trail.id; option.textContent = trail.name;
-            trailSelectBooking.appendChild(option);
-        });
-    }
-
     if ("serviceWorker" in navigator) {
         navigator.serviceWorker.register("/service-worker.js")
             .then(reg => console.log("[App] Service Worker registered with scope:", reg.scope))
@@ -257,14 +241,3 @@ document.addEventListener("DOMContentLoaded", () => {
         });
     } else console.error("[App] Hamburger menu or slide-out menu element not found.");
 });
-
-function getTrailById(trailId) {
-    if (typeof trailsData !== 'undefined') return trailsData.find(trail => trail.id === trailId);
-    console.error("[App] trailsData is not defined!"); return null;
-}
-
-function getAllTrails() {
-    if (typeof trailsData !== 'undefined') return trailsData;
-    console.error("[App] trailsData is not defined!"); return [];
-}
-
@@ -7,13 +7,14 @@ document.addEventListener("DOMContentLoaded", () => {
     const dateRangeInput = document.getElementById("booking-date-range"); // Get the new input
 
     // Populate trail select options in the booking form
-    if (bookingTrailSelect && typeof getAllTrails === "function") {
-        const trails = getAllTrails();
-        trails.forEach(trail => {
-            const option = document.createElement("option");
-            option.value = trail.id;
-            option.textContent = `${trail.name} (${trail.distance} km)`;
-            bookingTrailSelect.appendChild(option);
+    if (bookingTrailSelect && typeof trailsReady !== "undefined") {
+        trailsReady.then(trails => {
+            trails.forEach(trail => {
+                const option = document.createElement("option");
+                option.value = trail.id;
+                option.textContent = `${trail.name} (${trail.distance} km)`;
+                bookingTrailSelect.appendChild(option);
+            });
         });
     }
 
@@ -188,7 +188,7 @@
             if (layer instanceof L.Marker && layer !== customLocationMarker) {
                 // Check if this is likely a default location marker
                 const element = layer.getElement();
-                if (element && !element.classList.contains('custom-location-indicator')) {
+                if (element && !element.classList.contains('custom-location-indicator') && !element.classList.contains('app-marker')) {
                     window.leafletMap.removeLayer(layer);
                     console.log('🗑️ Removed default location marker');
                 }
@@ -0,0 +1,228 @@
+// js/geofence.js
+// Proximity alerts: a circle (geofence) around a saved waypoint or an official trail POI.
+// The GPS watchers in gps_tracking.js and track_up_mode.js feed every fix to handlePosition;
+// entering or leaving a circle vibrates, beeps, shows a banner and is written to the alert history.
+// Waypoint radii are stored on the waypoint (alertRadius); POI radii in localStorage, together
+// with the POI's position so the alert works even when its trail is not loaded.
+
+(function() {
+    'use strict';
+
+    console.log("[Geofence] geofence.js loaded.");
+
+    const POI_FENCES_KEY = 'poiGeofences';
+    const ENABLED_KEY = 'geofenceAlertsEnabled';
+    const RADIUS_CHOICES = [0, 50, 100, 200, 500]; // metres, 0 is off
+    const MAX_FIX_ACCURACY = 50; // metres - worse fixes could trigger false alerts
+    const LEAVE_MARGIN = 20; // metres beyond the radius before "leaving" counts, so alerts do not flap
+    const BANNER_DURATION_MS = 10000;
+    const MAX_HISTORY = 500;
+
+    let fences = []; // { id, name, category, icon, lat, lng, radius }
+    let insideFences = new Set(); // Ids of the fences the hiker is currently inside
+    let lastFixTimestamp = 0;
+    let alertsEnabled = localStorage.getItem(ENABLED_KEY) !== 'false';
+    let audioContext = null;
+    let banner, bannerTimer = null;
+    let historyDetails, historyList, enabledCheckbox;
+
+    function loadPoiFences() {
+        try {
+            return JSON.parse(localStorage.getItem(POI_FENCES_KEY)) || {};
+        } catch (error) {
+            console.error("[Geofence - loadPoiFences] Could not read POI alert settings:", error);
+            return {};
+        }
+    }
+
+    function getPoiAlertRadius(poiId) {
+        const fence = loadPoiFences()[poiId];
+        return fence ? fence.radius : 0;
+    }
+
+    function setPoiAlertRadius(poi, radius) {
+        const poiFences = loadPoiFences();
+        if (radius > 0) {
+            poiFences[poi.id] = { name: poi.name, category: poi.category, lat: poi.lat, lng: poi.lng, radius: radius };
+        } else {
+            delete poiFences[poi.id];
+        }
+        localStorage.setItem(POI_FENCES_KEY, JSON.stringify(poiFences));
+        console.log(`[Geofence - setPoiAlertRadius] Alert radius for POI ${poi.id} set to ${radius} m.`);
+        return reloadFences();
+    }
+
+    function poiIcon(categoryId) {
+        const category = window.TrailPOIs ? window.TrailPOIs.categories.find(c => c.id === categoryId) : null;
+        return category ? category.icon : '📌';
+    }
+
+    async function reloadFences() {
+        const waypoints = typeof db !== 'undefined' && db.waypoints ? await db.waypoints.toArray() : [];
+        const waypointFences = waypoints.filter(waypoint => waypoint.alertRadius > 0).map(waypoint => ({
+            id: `waypoint:${waypoint.id}`,
+            name: waypoint.name,
+            category: waypoint.category || 'custom',
+            icon: waypoint.icon || getWaypointCategory(waypoint.category).icon,
+            lat: waypoint.lat,
+            lng: waypoint.lon,
+            radius: waypoint.alertRadius
+        }));
+        const poiFences = Object.entries(loadPoiFences()).map(([poiId, fence]) => ({
+            id: `poi:${poiId}`,
+            name: fence.name,
+            category: fence.category,
+            icon: poiIcon(fence.category),
+            lat: fence.lat,
+            lng: fence.lng,
+            radius: fence.radius
+        }));
+        fences = waypointFences.concat(poiFences);
+        const fenceIds = new Set(fences.map(fence => fence.id));
+        insideFences = new Set(Array.from(insideFences).filter(id => fenceIds.has(id)));
+        console.log(`[Geofence - reload] ${fences.length} proximity alert(s) active.`);
+        return fences;
+    }
+
+    function alertText(fence, type, distance) {
+        if (type === 'leave') return `Leaving ${fence.name}`;
+        const rounded = distance < 10 ? Math.round(distance) : Math.round(distance / 10) * 10;
+        if (fence.category === 'hazard') return `Hazard: ${fence.name} ahead (${rounded} m)`;
+        return `${fence.name} in ${rounded} m`;
+    }
+
+    // Browsers only allow audio after a user gesture, so the context is created on the first tap
+    function unlockAudio() {
+        if (!audioContext && (window.AudioContext || window.webkitAudioContext)) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+    }
+
+    function playAlertSound(type) {
+        if (!audioContext) return;
+        try {
+            if (audioContext.state === 'suspended') audioContext.resume();
+            // Rising tones on entering, a single low tone on leaving
+            const tones = type === 'enter' ? [[0, 660], [0.25, 880]] : [[0, 440]];
+            tones.forEach(([offset, frequency]) => {
+                const oscillator = audioContext.createOscillator();
+                const gain = audioContext.createGain();
+                oscillator.type = 'sine';
+                oscillator.frequency.value = frequency;
+                gain.gain.value = 0.25;
+                oscillator.connect(gain);
+                gain.connect(audioContext.destination);
+                oscillator.start(audioContext.currentTime + offset);
+                oscillator.stop(audioContext.currentTime + offset + 0.2);
+            });
+        } catch (error) {
+            console.error("[Geofence - playAlertSound] Could not play alert sound:", error);
+        }
+    }
+
+    function showBanner(fence, type, text) {
+        if (!banner) return;
+        banner.textContent = `${fence.icon} ${text}`;
+        banner.className = `geofence-banner geofence-banner-${type}${fence.category === 'hazard' && type === 'enter' ? ' geofence-banner-hazard' : ''}`;
+        banner.style.display = 'block';
+        clearTimeout(bannerTimer);
+        bannerTimer = setTimeout(() => { banner.style.display = 'none'; }, BANNER_DURATION_MS);
+    }
+
+    async function raiseAlert(fence, type, distance, point) {
+        const text = alertText(fence, type, distance);
+        console.log(`[Geofence - alert] ${text}`);
+        if (navigator.vibrate) navigator.vibrate(type === 'enter' ? [200, 100, 200] : [150]);
+        playAlertSound(type);
+        showBanner(fence, type, text);
+        try {
+            await db.geofence_alerts.add({
+                ts: point.ts, type: type, fenceId: fence.id, name: fence.name, text: text,
+                distance: Math.round(distance), lat: point.lat, lng: point.lng
+            });
+            const count = await db.geofence_alerts.count();
+            if (count > MAX_HISTORY) {
+                const oldest = await db.geofence_alerts.orderBy('ts').limit(count - MAX_HISTORY).primaryKeys();
+                await db.geofence_alerts.bulkDelete(oldest);
+            }
+            if (historyDetails && historyDetails.open) renderHistory();
+        } catch (error) {
+            console.error("[Geofence - alert] Could not save the alert to the history:", error);
+        }
+    }
+
+    // Entry point for every GPS watcher. The same fix may arrive from several watchers.
+    function handlePosition(position) {
+        const timestamp = position.timestamp || Date.now();
+        if (timestamp <= lastFixTimestamp) return;
+        lastFixTimestamp = timestamp;
+        const { latitude, longitude, accuracy } = position.coords;
+        if (accuracy > MAX_FIX_ACCURACY) return;
+
+        const point = { lat: latitude, lng: longitude, ts: timestamp };
+        fences.forEach(fence => {
+            const distance = haversineDistance(point, fence);
+            const wasInside = insideFences.has(fence.id);
+            if (!wasInside && distance <= fence.radius) {
+                insideFences.add(fence.id);
+                if (alertsEnabled) raiseAlert(fence, 'enter', distance, point);
+            } else if (wasInside && distance > fence.radius + LEAVE_MARGIN) {
+                insideFences.delete(fence.id);
+                if (alertsEnabled) raiseAlert(fence, 'leave', distance, point);
+            }
+        });
+    }
+
+    async function renderHistory() {
+        if (!historyList) return;
+        const alerts = await db.geofence_alerts.orderBy('ts').reverse().limit(100).toArray();
+        historyList.innerHTML = alerts.length === 0 ? '<li>No proximity alerts yet.</li>' : alerts.map(alert => `
+            <li class="geofence-history-${alert.type}">
+                <small>${new Date(alert.ts).toLocaleString()}</small><br>
+                ${alert.type === 'enter' ? '🔔' : '↩️'} ${escapeXml(alert.text)}
+            </li>`).join('');
+    }
+
+    async function clearHistory() {
+        if (!confirm("Clear the proximity alert history?")) return;
+        await db.geofence_alerts.clear();
+        renderHistory();
+    }
+
+    function initGeofence() {
+        banner = document.getElementById('geofence-banner');
+        historyDetails = document.getElementById('geofence-history');
+        historyList = document.getElementById('geofence-history-list');
+        enabledCheckbox = document.getElementById('geofence-enabled');
+        if (banner) banner.addEventListener('click', () => { banner.style.display = 'none'; });
+        if (historyDetails) historyDetails.addEventListener('toggle', () => { if (historyDetails.open) renderHistory(); });
+        const clearButton = document.getElementById('geofence-history-clear');
+        if (clearButton) clearButton.addEventListener('click', clearHistory);
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = alertsEnabled;
+            enabledCheckbox.addEventListener('change', () => {
+                alertsEnabled = enabledCheckbox.checked;
+                localStorage.setItem(ENABLED_KEY, String(alertsEnabled));
+                console.log(`[Geofence - init] Proximity alerts ${alertsEnabled ? 'enabled' : 'muted'}.`);
+            });
+        }
+        document.addEventListener('click', unlockAudio, { once: true });
+        reloadFences().catch(error => console.error("[Geofence - init] Error loading proximity alerts:", error));
+        console.log("[Geofence - init] Geofence engine initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initGeofence);
+    } else {
+        initGeofence();
+    }
+
+    window.Geofence = {
+        radiusChoices: RADIUS_CHOICES,
+        handlePosition,
+        reload: reloadFences,
+        getPoiAlertRadius,
+        setPoiAlertRadius,
+        getFences: () => fences.slice()
+    };
+})();
@@ -11,22 +11,122 @@ db.version(4).stores({
     waypoints: "++id, name, timestamp" // Added waypoints store
 });
 
-console.log("[GPSTracking] Dexie DB version 4 configured with recorded_tracks, user_kml_files, weather_cache, and waypoints stores.");
+// Version 5 keeps the recording in progress on disk so a reload or tab kill does not lose it
+db.version(5).stores({
+    recorded_tracks: "++id, name, startTime",
+    user_kml_files: "++id, name, originalFileName, addedTimestamp",
+    weather_cache: "id",
+    waypoints: "++id, name, timestamp",
+    active_recording: "id", // Single "current" row with the session state
+    active_recording_points: "++id" // Points of the session, appended in batches
+});
+
+// Version 6 also keeps the unfiltered fixes of the recording in progress
+db.version(6).stores({
+    recorded_tracks: "++id, name, startTime",
+    user_kml_files: "++id, name, originalFileName, addedTimestamp",
+    weather_cache: "id",
+    waypoints: "++id, name, timestamp",
+    active_recording: "id",
+    active_recording_points: "++id",
+    active_recording_raw_points: "++id" // Every fix as delivered by the GPS, before filtering
+});
+
+// Version 7 adds photos taken on a hike, linked to a track or a waypoint
+db.version(7).stores({
+    recorded_tracks: "++id, name, startTime",
+    user_kml_files: "++id, name, originalFileName, addedTimestamp",
+    weather_cache: "id",
+    waypoints: "++id, name, timestamp",
+    active_recording: "id",
+    active_recording_points: "++id",
+    active_recording_raw_points: "++id",
+    photos: "++id, trackId, waypointId, ts" // trackId is "current" while the recording is in progress
+});
+
+// Version 8 adds the history of proximity alerts raised by the geofence engine
+db.version(8).stores({
+    recorded_tracks: "++id, name, startTime",
+    user_kml_files: "++id, name, originalFileName, addedTimestamp",
+    weather_cache: "id",
+    waypoints: "++id, name, timestamp",
+    active_recording: "id",
+    active_recording_points: "++id",
+    active_recording_raw_points: "++id",
+    photos: "++id, trackId, waypointId, ts",
+    geofence_alerts: "++id, ts"
+});
+
+console.log("[GPSTracking] Dexie DB version 8 configured with recorded_tracks, user_kml_files, weather_cache, waypoints, active recording, photo and geofence alert stores.");
 
 // --- DOM Elements ---
 let startRecordingBtn, pauseRecordingBtn, resumeRecordingBtn, stopRecordingBtn, recordingStatusSpan;
 let recordedTracksListContainer; // Renamed from tracksListContainer for clarity
+let recordingStatsPanel;
 
 // --- Core Recording Logic ---
 let isRecording = false;
 let isPaused = false;
+let isAutoPaused = false; // Paused by the stationary detector rather than the hiker
+let currentPauseIntervals = []; // [{ start, end, auto }] - end is null while the pause is ongoing
 let currentTrackPoints = [];
+let currentRawTrackPoints = []; // Unfiltered fixes, kept alongside the filtered track for comparison
 let watchId = null;
 let currentTrackStartTime = null;
 let currentTrackName = null; // Added to store the name generated at start
 let currentMapTrackLayer = null; // To hold the Leaflet layer for the currently recording track
 let displayedSavedTrackLayer = null; // To hold the Leaflet layer for a displayed saved track
 
+// --- Crash-safe persistence of the recording in progress ---
+const ACTIVE_RECORDING_ID = "current";
+const POINT_FLUSH_BATCH_SIZE = 10; // Write to IndexedDB once this many points are waiting
+const POINT_FLUSH_INTERVAL_MS = 15000; // ...or at least this often while recording
+let pendingTrackPoints = []; // Points not yet written to active_recording_points
+let pendingRawTrackPoints = []; // Fixes not yet written to active_recording_raw_points
+let pointFlushTimer = null;
+let pointFlushChain = Promise.resolve();
+
+// --- Live recording stats ---
+const MIN_MOVING_SPEED = 0.3; // m/s - legs slower than this count as stopped
+const CURRENT_PACE_WINDOW_MS = 60 * 1000; // Current pace is taken over the last minute
+const ALTITUDE_SMOOTHING_WINDOW = 5; // Points in the moving average applied to GPS altitude
+const ELEVATION_CHANGE_THRESHOLD = 3; // metres - smaller wiggles are not counted as ascent or descent
+let recordingStatsTimer = null;
+
+// --- GPS point filtering pipeline ---
+const GPS_FILTER_SETTINGS_KEY = "gpsFilterSettings";
+const DEFAULT_GPS_FILTER_SETTINGS = {
+    accuracyThreshold: 30, // metres - fixes less accurate than this are dropped
+    maxSpeed: 12, // m/s - faster jumps than this are treated as GPS spikes (allows for the MTB trail)
+    minDistance: 3, // metres - closer points are dropped so standing still does not pile up jitter
+    smoothing: true // Kalman-style smoothing of the position
+};
+const KALMAN_PROCESS_NOISE = 3; // m/s - how quickly the true position is expected to wander
+const MAX_CONSECUTIVE_SPIKES = 3; // After this many rejections in a row the last kept point is the outlier
+let gpsFilterSettings = loadGpsFilterSettings();
+let pointPipeline = null;
+
+// --- Auto-pause ---
+const AUTO_PAUSE_SETTINGS_KEY = "autoPauseEnabled";
+const AUTO_PAUSE_WINDOW_MS = 60 * 1000; // Stationary for this long before pausing
+const AUTO_PAUSE_MAX_DISPLACEMENT = 15; // metres moved within the window that still counts as stationary
+const AUTO_PAUSE_MAX_SPEED = 0.5; // m/s - average reported speed that still counts as stationary
+const AUTO_RESUME_DISTANCE = 25; // metres from where the pause started before recording resumes
+const AUTO_RESUME_SPEED = 1; // m/s - reported speed that resumes recording straight away
+let autoPauseEnabled = localStorage.getItem(AUTO_PAUSE_SETTINGS_KEY) === "true";
+let stationaryWindow = []; // Recent good fixes used to detect standing still
+let autoPauseAnchor = null; // Position where the auto-pause started
+
+// Trackback settings and state
+const TRACKBACK_OFF_ROUTE_THRESHOLD = 40; // metres from the way back before the hiker is warned
+const TRACKBACK_ARRIVAL_RADIUS = 20; // metres from the start that count as arrived
+const TRACKBACK_LOOKAHEAD = 30; // metres along the route the direction arrow points to
+const TRACKBACK_SEARCH_AHEAD = 500; // metres of route ahead of the last match searched for the next one
+let trackbackRoute = null; // { points, remaining, progressIndex } while guiding back, otherwise null
+let trackbackLayer = null;
+let trackbackOffRoute = false;
+let trackbackBtn, trackbackPanel;
+
 function initGPSTrackingControls() {
     console.log("[GPSTracking - initControls] Attempting to initialize GPS tracking controls.");
     try {
@@ -36,6 +136,10 @@ function initGPSTrackingControls() {
         stopRecordingBtn = document.getElementById("stop-recording-btn");
         recordingStatusSpan = document.getElementById("recording-status");
         recordedTracksListContainer = document.getElementById("recorded-tracks-list-container"); // Corrected ID from previous plan
+        recordingStatsPanel = document.getElementById("recording-stats-panel");
+        trackbackBtn = document.getElementById("trackback-btn");
+        trackbackPanel = document.getElementById("trackback-panel");
+        initGpsFilterSettingsForm();
 
         if (!startRecordingBtn || !pauseRecordingBtn || !resumeRecordingBtn || !stopRecordingBtn || !recordingStatusSpan) {
             console.error("[GPSTracking - initControls] One or more GPS control buttons or status span not found in the DOM.");
@@ -54,6 +158,9 @@ function initGPSTrackingControls() {
         if (pauseRecordingBtn) pauseRecordingBtn.addEventListener("click", pauseRecording);
         if (resumeRecordingBtn) resumeRecordingBtn.addEventListener("click", resumeRecording);
         if (stopRecordingBtn) stopRecordingBtn.addEventListener("click", stopRecording);
+        if (trackbackBtn) trackbackBtn.addEventListener("click", startTrackback);
+        const exportSelectedBtn = document.getElementById("export-selected-tracks-btn");
+        if (exportSelectedBtn) exportSelectedBtn.addEventListener("click", handleExportSelectedTracks);
 
         if (navigator.geolocation && startRecordingBtn) {
             startRecordingBtn.style.display = "inline-block";
@@ -64,6 +171,7 @@ function initGPSTrackingControls() {
         }
         updateRecordingButtons();
         loadAndDisplaySavedTracks(); 
+        checkForUnfinishedRecording();
         console.log("[GPSTracking - initControls] GPS tracking controls initialization attempt finished.");
     } catch (e) {
         console.error("[GPSTracking - initControls] CRITICAL ERROR during control initialization:", e);
@@ -71,26 +179,65 @@ function initGPSTrackingControls() {
     }
 }
 
+function initGpsFilterSettingsForm() {
+    const accuracyInput = document.getElementById("gps-filter-accuracy");
+    const maxSpeedInput = document.getElementById("gps-filter-max-speed");
+    const minDistanceInput = document.getElementById("gps-filter-min-distance");
+    const smoothingInput = document.getElementById("gps-filter-smoothing");
+    if (!accuracyInput || !maxSpeedInput || !minDistanceInput || !smoothingInput) {
+        console.warn("[GPSTracking - initFilterSettings] GPS filter settings inputs not found.");
+        return;
+    }
+    accuracyInput.value = gpsFilterSettings.accuracyThreshold;
+    maxSpeedInput.value = Math.round(gpsFilterSettings.maxSpeed * 3.6); // Shown in km/h
+    minDistanceInput.value = gpsFilterSettings.minDistance;
+    smoothingInput.checked = gpsFilterSettings.smoothing;
+
+    const bindNumber = (input, key, min, toSetting) => {
+        input.addEventListener("change", () => {
+            const value = parseFloat(input.value);
+            if (isNaN(value) || value < min) {
+                input.value = key === "maxSpeed" ? Math.round(gpsFilterSettings.maxSpeed * 3.6) : gpsFilterSettings[key];
+                return;
+            }
+            setGpsFilterSettings({ [key]: toSetting ? toSetting(value) : value });
+        });
+    };
+    bindNumber(accuracyInput, "accuracyThreshold", 5);
+    bindNumber(maxSpeedInput, "maxSpeed", 5, kmh => kmh / 3.6);
+    bindNumber(minDistanceInput, "minDistance", 0);
+    smoothingInput.addEventListener("change", () => setGpsFilterSettings({ smoothing: smoothingInput.checked }));
+
+    const autoPauseInput = document.getElementById("auto-pause-toggle");
+    if (autoPauseInput) {
+        autoPauseInput.checked = autoPauseEnabled;
+        autoPauseInput.addEventListener("change", () => setAutoPauseEnabled(autoPauseInput.checked));
+    }
+}
+
 function updateRecordingButtons() {
     if (!startRecordingBtn || !pauseRecordingBtn || !resumeRecordingBtn || !stopRecordingBtn || !recordingStatusSpan) {
         // console.warn("[GPSTracking - updateButtons] One or more control buttons not found. Skipping update.");
         return;
     }
 
+    if (trackbackBtn) trackbackBtn.style.display = isRecording && !trackbackRoute ? "inline-block" : "none";
     if (!isRecording) {
         startRecordingBtn.style.display = (navigator.geolocation) ? "inline-block" : "none";
         pauseRecordingBtn.style.display = "none";
         resumeRecordingBtn.style.display = "none";
         stopRecordingBtn.style.display = "none";
         recordingStatusSpan.style.display = "none";
+        if (recordingStatsPanel) recordingStatsPanel.style.display = "none";
     } else {
         startRecordingBtn.style.display = "none";
         stopRecordingBtn.style.display = "inline-block";
         recordingStatusSpan.style.display = "inline-block";
+        if (recordingStatsPanel) recordingStatsPanel.style.display = "block";
         if (isPaused) {
             pauseRecordingBtn.style.display = "none";
             resumeRecordingBtn.style.display = "inline-block";
-            recordingStatusSpan.textContent = "Paused";
+            recordingStatusSpan.textContent = isAutoPaused ? "Auto-paused" : "Paused";
         } else {
             pauseRecordingBtn.style.display = "inline-block";
             resumeRecordingBtn.style.display = "none";
@@ -112,29 +259,27 @@ function startRecording() {
             console.log("[GPSTracking - startRecording] Geolocation permission granted. Starting recording.");
             isRecording = true;
             isPaused = false;
+            isAutoPaused = false;
+            currentPauseIntervals = [];
+            stationaryWindow = [];
             currentTrackPoints = [];
+            currentRawTrackPoints = [];
+            pendingTrackPoints = [];
+            pendingRawTrackPoints = [];
+            pointPipeline = createPointPipeline(gpsFilterSettings, []);
             currentTrackStartTime = Date.now();
             currentTrackName = `Track ${new Date(currentTrackStartTime).toLocaleString().replace(/[/:]/g, "-")}`;
             console.log("[GPSTracking - startRecording] Starting new track recording:", currentTrackName);
 
-            const geoOptions = {
-                enableHighAccuracy: true,
-                timeout: 20000, 
-                maximumAge: 0 
-            };
-
-            watchId = navigator.geolocation.watchPosition(
-                handlePositionUpdate,
-                handlePositionError,
-                geoOptions
-            );
+            // Queued on the flush chain so no batch of the new track can be written before the clear
+            pointFlushChain = pointFlushChain
+                .then(() => Promise.all([db.active_recording_points.clear(), db.active_recording_raw_points.clear()]))
+                .then(() => saveRecordingSession())
+                .catch(error => console.error("[GPSTracking - startRecording] Could not initialise the crash-safe session:", error));
 
+            startRecordingWatch();
             updateRecordingButtons();
-            if (typeof map !== "undefined" && map && typeof L !== "undefined") {
-                if (currentMapTrackLayer) map.removeLayer(currentMapTrackLayer);
-                currentMapTrackLayer = L.polyline([], { color: "yellow", weight: 3, opacity: 0.8 }).addTo(map);
-                console.log("[GPSTracking - startRecording] Added new polyline to map for current track.");
-            }
+            drawCurrentTrackLayer([]);
         },
         (error) => {
             handlePositionError(error); // Reuse error handler
@@ -145,25 +290,208 @@ function startRecording() {
     );
 }
 
+// Start the GPS watch and the periodic flush of points to IndexedDB
+function startRecordingWatch() {
+    const geoOptions = {
+        enableHighAccuracy: true,
+        timeout: 20000, 
+        maximumAge: 0 
+    };
+
+    watchId = navigator.geolocation.watchPosition(
+        handlePositionUpdate,
+        handlePositionError,
+        geoOptions
+    );
+
+    if (pointFlushTimer) clearInterval(pointFlushTimer);
+    pointFlushTimer = setInterval(flushPendingTrackPoints, POINT_FLUSH_INTERVAL_MS);
+
+    // Elapsed time keeps ticking between fixes
+    if (recordingStatsTimer) clearInterval(recordingStatsTimer);
+    recordingStatsTimer = setInterval(updateRecordingStatsPanel, 1000);
+    updateRecordingStatsPanel();
+}
+
+function drawCurrentTrackLayer(points) {
+    if (typeof map !== "undefined" && map && typeof L !== "undefined") {
+        if (currentMapTrackLayer) map.removeLayer(currentMapTrackLayer);
+        currentMapTrackLayer = L.polyline(points.map(p => [p.lat, p.lng]), { color: "yellow", weight: 3, opacity: 0.8 }).addTo(map);
+        console.log("[GPSTracking - drawCurrentTrackLayer] Added polyline to map for current track.");
+    }
+}
+
+function loadGpsFilterSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(GPS_FILTER_SETTINGS_KEY) || "{}");
+        return Object.assign({}, DEFAULT_GPS_FILTER_SETTINGS, stored);
+    } catch (error) {
+        console.error("[GPSTracking - loadGpsFilterSettings] Could not read stored settings:", error);
+        return Object.assign({}, DEFAULT_GPS_FILTER_SETTINGS);
+    }
+}
+
+function setGpsFilterSettings(newSettings) {
+    gpsFilterSettings = Object.assign({}, gpsFilterSettings, newSettings);
+    localStorage.setItem(GPS_FILTER_SETTINGS_KEY, JSON.stringify(gpsFilterSettings));
+    if (pointPipeline) pointPipeline.settings = gpsFilterSettings;
+    console.log("[GPSTracking - setGpsFilterSettings] Settings updated:", gpsFilterSettings);
+}
+
+// Stages run in order on every fix. Each gets the point and the pipeline state and returns
+// the (possibly adjusted) point, or null to drop it. Further stages can be added with addGpsFilterStage.
+const gpsFilterStages = [
+    {
+        name: "accuracy",
+        process(point, state) {
+            if (point.acc > state.settings.accuracyThreshold) {
+                console.warn(`[GPSTracking - filter] Dropped fix with low accuracy: ${point.acc}m (threshold: ${state.settings.accuracyThreshold}m)`);
+                return null;
+            }
+            return point;
+        }
+    },
+    {
+        name: "speedSpike",
+        process(point, state) {
+            const last = state.lastAccepted;
+            if (!last || point.ts <= last.ts) return point;
+            const speed = haversineDistance(last, point) / ((point.ts - last.ts) / 1000);
+            if (speed > state.settings.maxSpeed && state.consecutiveSpikes < MAX_CONSECUTIVE_SPIKES) {
+                state.consecutiveSpikes++;
+                console.warn(`[GPSTracking - filter] Dropped speed spike: ${speed.toFixed(1)} m/s`);
+                return null;
+            }
+            state.consecutiveSpikes = 0;
+            return point;
+        }
+    },
+    {
+        name: "kalman",
+        process(point, state) {
+            if (!state.settings.smoothing) return point;
+            const kalman = state.kalman;
+            const accuracy = Math.max(point.acc || 1, 1);
+            if (!kalman.variance || point.ts <= kalman.ts) {
+                Object.assign(kalman, { lat: point.lat, lng: point.lng, ts: point.ts, variance: accuracy * accuracy });
+                return point;
+            }
+            kalman.variance += ((point.ts - kalman.ts) / 1000) * KALMAN_PROCESS_NOISE * KALMAN_PROCESS_NOISE;
+            const gain = kalman.variance / (kalman.variance + accuracy * accuracy);
+            kalman.lat += gain * (point.lat - kalman.lat);
+            kalman.lng += gain * (point.lng - kalman.lng);
+            kalman.variance *= (1 - gain);
+            kalman.ts = point.ts;
+            return Object.assign({}, point, { lat: kalman.lat, lng: kalman.lng });
+        }
+    },
+    {
+        name: "minDistance",
+        process(point, state) {
+            const lastKept = state.lastKept;
+            if (lastKept && haversineDistance(lastKept, point) < state.settings.minDistance) return null;
+            return point;
+        }
+    }
+];
+
+function addGpsFilterStage(stage, beforeStageName) {
+    const index = beforeStageName ? gpsFilterStages.findIndex(s => s.name === beforeStageName) : -1;
+    if (index >= 0) gpsFilterStages.splice(index, 0, stage);
+    else gpsFilterStages.push(stage);
+}
+
+// Pipeline state for one recording. lastKept is seeded from points already recorded when resuming.
+function createPointPipeline(settings, keptPoints) {
+    const lastKept = keptPoints && keptPoints.length > 0 ? keptPoints[keptPoints.length - 1] : null;
+    return {
+        settings: settings,
+        lastAccepted: lastKept,
+        lastKept: lastKept,
+        consecutiveSpikes: 0,
+        kalman: {},
+        process(rawPoint) {
+            let point = rawPoint;
+            for (const stage of gpsFilterStages) {
+                point = stage.process(point, this);
+                if (!point) return null;
+                if (stage.name === "speedSpike") this.lastAccepted = point;
+            }
+            this.lastKept = point;
+            return point;
+        }
+    };
+}
+
 function handlePositionUpdate(position) {
-    if (!isRecording || isPaused) return;
+    broadcastPosition(position, "recorder");
+    if (window.Geofence) window.Geofence.handlePosition(position);
+    updateTrackback(position);
+    if (!isRecording) return;
+    if (isPaused) {
+        // A fix that ends an automatic pause is recorded as the first point after it
+        if (!isAutoPaused || !checkAutoResume(position)) return;
+    }
     const { latitude, longitude, altitude, accuracy, speed, heading } = position.coords;
     const timestamp = position.timestamp || Date.now();
 
-    // Accuracy Improvement: Filter out points with poor accuracy.
-    const ACCURACY_THRESHOLD = 15; // meters - User requested more accuracy, 15m is a stricter threshold.
+    const rawPoint = { lat: latitude, lng: longitude, alt: altitude, acc: accuracy, spd: speed, hdg: heading, ts: timestamp };
+    currentRawTrackPoints.push(rawPoint);
+    pendingRawTrackPoints.push(rawPoint);
+
+    if (!pointPipeline) pointPipeline = createPointPipeline(gpsFilterSettings, currentTrackPoints);
+    const newPoint = pointPipeline.process(rawPoint);
+    if (newPoint) {
+        console.log(`[GPSTracking - handlePositionUpdate] Position update (Accuracy: ${accuracy}m): Lat: ${newPoint.lat}, Lng: ${newPoint.lng}`);
+        currentTrackPoints.push(newPoint);
+        pendingTrackPoints.push(newPoint);
+        if (currentMapTrackLayer) {
+            currentMapTrackLayer.addLatLng([newPoint.lat, newPoint.lng]);
+        }
+    }
+    if (pendingRawTrackPoints.length >= POINT_FLUSH_BATCH_SIZE) flushPendingTrackPoints();
+    if (autoPauseEnabled) checkAutoPause(rawPoint);
+    updateRecordingStatsPanel();
+}
+
+// Pause when the good fixes of the last minute stayed within a few metres and were reported as slow
+function checkAutoPause(rawPoint) {
+    if (rawPoint.acc > gpsFilterSettings.accuracyThreshold) return;
+    stationaryWindow.push(rawPoint);
+    stationaryWindow = stationaryWindow.filter(p => rawPoint.ts - p.ts <= AUTO_PAUSE_WINDOW_MS);
+    const first = stationaryWindow[0];
+    if (rawPoint.ts - first.ts < AUTO_PAUSE_WINDOW_MS * 0.9) return;
 
-    if (accuracy > ACCURACY_THRESHOLD) {
-        console.warn(`[GPSTracking - handlePositionUpdate] Position discarded due to low accuracy: ${accuracy}m (threshold: ${ACCURACY_THRESHOLD}m)`);
-        return; // Skip this point
+    const maxDisplacement = stationaryWindow.reduce((max, p) => Math.max(max, haversineDistance(first, p)), 0);
+    const speeds = stationaryWindow.map(p => p.spd).filter(spd => spd !== null && spd !== undefined && !isNaN(spd));
+    const averageSpeed = speeds.length > 0 ? speeds.reduce((sum, spd) => sum + spd, 0) / speeds.length : 0;
+    if (maxDisplacement <= AUTO_PAUSE_MAX_DISPLACEMENT && averageSpeed <= AUTO_PAUSE_MAX_SPEED) {
+        console.log(`[GPSTracking - autoPause] Stationary for a minute (${maxDisplacement.toFixed(1)}m, ${averageSpeed.toFixed(2)} m/s). Pausing.`);
+        autoPauseAnchor = { lat: rawPoint.lat, lng: rawPoint.lng };
+        pauseRecording(true);
     }
+}
 
-    console.log(`[GPSTracking - handlePositionUpdate] Position update (Accuracy: ${accuracy}m): Lat: ${latitude}, Lng: ${longitude}`);
-    const newPoint = { lat: latitude, lng: longitude, alt: altitude, acc: accuracy, spd: speed, hdg: heading, ts: timestamp };
-    currentTrackPoints.push(newPoint);
-    if (currentMapTrackLayer) {
-        currentMapTrackLayer.addLatLng([latitude, longitude]);
+// Returns true when the recording was resumed
+function checkAutoResume(position) {
+    const { latitude, longitude, accuracy, speed } = position.coords;
+    if (accuracy > gpsFilterSettings.accuracyThreshold || !autoPauseAnchor) return false;
+    const distance = haversineDistance(autoPauseAnchor, { lat: latitude, lng: longitude });
+    if (distance > Math.max(AUTO_RESUME_DISTANCE, accuracy) || (speed !== null && speed >= AUTO_RESUME_SPEED)) {
+        console.log(`[GPSTracking - autoPause] Moving again (${distance.toFixed(1)}m from pause, speed ${speed}). Resuming.`);
+        resumeRecording();
+        return true;
     }
+    return false;
+}
+
+function setAutoPauseEnabled(enabled) {
+    autoPauseEnabled = !!enabled;
+    localStorage.setItem(AUTO_PAUSE_SETTINGS_KEY, String(autoPauseEnabled));
+    stationaryWindow = [];
+    // Turning auto-pause off must not leave the recording stuck in an automatic pause
+    if (!autoPauseEnabled && isAutoPaused) resumeRecording();
+    console.log(`[GPSTracking - setAutoPauseEnabled] Auto-pause ${autoPauseEnabled ? "enabled" : "disabled"}.`);
 }
 
 function handlePositionError(error) {
@@ -176,44 +504,79 @@ function handlePositionError(error) {
     }
 }
 
-function pauseRecording() {
+function pauseRecording(auto = false) {
     if (!isRecording || isPaused) return;
     isPaused = true;
-    console.log("[GPSTracking - pauseRecording] Recording paused.");
+    isAutoPaused = auto === true; // Click events pass an Event object
+    currentPauseIntervals.push({ start: Date.now(), end: null, auto: isAutoPaused });
+    flushPendingTrackPoints();
+    saveRecordingSession();
+    console.log(`[GPSTracking - pauseRecording] Recording ${isAutoPaused ? "auto-" : ""}paused.`);
     updateRecordingButtons();
 }
 
 function resumeRecording() {
     if (!isRecording || !isPaused) return;
     isPaused = false;
+    isAutoPaused = false;
+    autoPauseAnchor = null;
+    stationaryWindow = [];
+    closeOpenPauseInterval(Date.now());
+    saveRecordingSession();
     console.log("[GPSTracking - resumeRecording] Recording resumed.");
     updateRecordingButtons();
 }
 
+function closeOpenPauseInterval(endTime) {
+    const openPause = currentPauseIntervals.find(pause => pause.end === null);
+    if (openPause) openPause.end = endTime;
+}
+
 async function stopRecording(saveTrack = true) {
     if (!isRecording) return;
     console.log("[GPSTracking - stopRecording] Stopping recording.");
     if (watchId !== null) navigator.geolocation.clearWatch(watchId);
     watchId = null;
+    stopTrackback(); // Guidance needs the recorder's position updates
+    if (pointFlushTimer) clearInterval(pointFlushTimer);
+    pointFlushTimer = null;
+    if (recordingStatsTimer) clearInterval(recordingStatsTimer);
+    recordingStatsTimer = null;
     isRecording = false;
     isPaused = false;
+    isAutoPaused = false;
+    autoPauseAnchor = null;
+    const endTime = Date.now();
+    closeOpenPauseInterval(endTime);
+    await flushPendingTrackPoints();
+    let keepSession = false;
 
     if (saveTrack && currentTrackPoints.length > 1) { // Need at least 2 points for a track
         const trackToSave = {
             name: currentTrackName,
             startTime: currentTrackStartTime,
-            endTime: Date.now(),
+            endTime: endTime,
             points: currentTrackPoints,
-            distance: calculateTotalDistance(currentTrackPoints)
+            rawPoints: currentRawTrackPoints,
+            filterSettings: Object.assign({}, gpsFilterSettings),
+            pauses: currentPauseIntervals,
+            distance: calculateTotalDistance(currentTrackPoints),
+            stats: calculateTrackStats(currentTrackPoints, currentTrackStartTime, endTime)
         };
         try {
-            const id = await db.recorded_tracks.add(trackToSave);
+            // One transaction, so a failed photo re-link cannot leave a saved track behind that is then recovered again
+            const id = await db.transaction('rw', db.recorded_tracks, db.photos, async () => {
+                const trackId = await db.recorded_tracks.add(trackToSave);
+                if (window.Photos) await window.Photos.attachRecordingPhotos(trackId);
+                return trackId;
+            });
             console.log(`[GPSTracking - stopRecording] Track "${trackToSave.name}" saved with ID: ${id}`);
             alert(`Track "${trackToSave.name}" saved successfully!`);
             loadAndDisplaySavedTracks(); // Refresh the list
         } catch (error) {
             console.error("[GPSTracking - stopRecording] Error saving track to IndexedDB:", error);
-            alert("Error saving track. Please check console for details.");
+            alert("Error saving track. It will be offered for recovery the next time the app starts.");
+            keepSession = true;
         }
     } else if (saveTrack) {
         console.log("[GPSTracking - stopRecording] Not enough points recorded, track not saved.");
@@ -222,13 +585,157 @@ async function stopRecording(saveTrack = true) {
         console.log("[GPSTracking - stopRecording] Track not saved as requested (e.g., discarded).");
     }
 
+    if (!keepSession) {
+        // Photos of a recording that was not saved are kept, just no longer linked to a track
+        if (window.Photos) await window.Photos.attachRecordingPhotos(null);
+        await clearRecordingSession();
+    }
     currentTrackPoints = [];
+    currentRawTrackPoints = [];
+    pendingTrackPoints = [];
+    pendingRawTrackPoints = [];
+    pointPipeline = null;
+    currentPauseIntervals = [];
+    stationaryWindow = [];
     currentTrackStartTime = null;
     // currentTrackName = null; // Keep name for potential immediate re-save if needed? No, reset.
     currentTrackName = null;
     updateRecordingButtons();
 }
 
+// Write the session state (name, start time, paused) so it can be restored after a crash
+function saveRecordingSession() {
+    if (!isRecording) return Promise.resolve();
+    return db.active_recording.put({
+        id: ACTIVE_RECORDING_ID,
+        name: currentTrackName,
+        startTime: currentTrackStartTime,
+        isPaused: isPaused,
+        isAutoPaused: isAutoPaused,
+        autoPauseAnchor: autoPauseAnchor,
+        pauses: currentPauseIntervals,
+        updatedAt: Date.now()
+    }).catch(error => console.error("[GPSTracking - saveRecordingSession] Error saving recording session:", error));
+}
+
+// Append the waiting points to IndexedDB. Writes are chained so batches land in order;
+// a failed batch is put back in front of the queue for the next flush.
+function flushPendingTrackPoints() {
+    if (pendingTrackPoints.length === 0 && pendingRawTrackPoints.length === 0) return pointFlushChain;
+    const batch = pendingTrackPoints.splice(0, pendingTrackPoints.length);
+    const rawBatch = pendingRawTrackPoints.splice(0, pendingRawTrackPoints.length);
+    pointFlushChain = pointFlushChain
+        .then(() => db.transaction("rw", db.active_recording_points, db.active_recording_raw_points, async () => {
+            if (batch.length > 0) await db.active_recording_points.bulkAdd(batch);
+            if (rawBatch.length > 0) await db.active_recording_raw_points.bulkAdd(rawBatch);
+        }))
+        .then(() => console.log(`[GPSTracking - flushPoints] Persisted ${batch.length} points (${rawBatch.length} raw).`))
+        .catch(error => {
+            console.error("[GPSTracking - flushPoints] Error persisting points, will retry:", error);
+            pendingTrackPoints = batch.concat(pendingTrackPoints);
+            pendingRawTrackPoints = rawBatch.concat(pendingRawTrackPoints);
+        });
+    return pointFlushChain;
+}
+
+async function clearRecordingSession() {
+    try {
+        await db.transaction("rw", db.active_recording, db.active_recording_points, db.active_recording_raw_points, async () => {
+            await db.active_recording.clear();
+            await db.active_recording_points.clear();
+            await db.active_recording_raw_points.clear();
+        });
+    } catch (error) {
+        console.error("[GPSTracking - clearRecordingSession] Error clearing recording session:", error);
+    }
+}
+
+// On start-up, offer to resume or save a recording that was cut short by a reload or crash
+async function checkForUnfinishedRecording() {
+    try {
+        const session = await db.active_recording.get(ACTIVE_RECORDING_ID);
+        if (!session || isRecording) return;
+        const points = await db.active_recording_points.toArray();
+        const rawPoints = await db.active_recording_raw_points.toArray();
+        console.log(`[GPSTracking - checkUnfinished] Found unfinished recording "${session.name}" with ${points.length} points.`);
+        const resume = confirm(
+            `An unfinished recording "${session.name}" (started ${new Date(session.startTime).toLocaleString()}, ${points.length} points) was found.\n\n` +
+            "Press OK to resume recording, or Cancel to save it as a track now."
+        );
+        if (resume) {
+            resumeUnfinishedRecording(session, points, rawPoints);
+        } else {
+            await saveUnfinishedRecording(session, points, rawPoints);
+        }
+    } catch (error) {
+        console.error("[GPSTracking - checkUnfinished] Error checking for an unfinished recording:", error);
+    }
+}
+
+function resumeUnfinishedRecording(session, points, rawPoints) {
+    if (!navigator.geolocation) {
+        alert("Geolocation is not available, so the recording cannot be resumed. It will be saved instead.");
+        saveUnfinishedRecording(session, points, rawPoints);
+        return;
+    }
+    isRecording = true;
+    isPaused = !!session.isPaused;
+    isAutoPaused = isPaused && !!session.isAutoPaused;
+    autoPauseAnchor = session.autoPauseAnchor || null;
+    currentPauseIntervals = session.pauses || [];
+    stationaryWindow = [];
+    currentTrackName = session.name;
+    currentTrackStartTime = session.startTime;
+    currentTrackPoints = points.map(({ id, ...point }) => point);
+    currentRawTrackPoints = rawPoints.map(({ id, ...point }) => point);
+    pendingTrackPoints = [];
+    pendingRawTrackPoints = [];
+    pointPipeline = createPointPipeline(gpsFilterSettings, currentTrackPoints);
+    startRecordingWatch();
+    updateRecordingButtons();
+    drawCurrentTrackLayer(currentTrackPoints);
+    saveRecordingSession();
+    console.log(`[GPSTracking - resumeUnfinished] Resumed recording "${session.name}" (${isPaused ? "paused" : "recording"}).`);
+}
+
+async function saveUnfinishedRecording(session, points, rawPoints) {
+    if (points.length > 1) {
+        const trackPoints = points.map(({ id, ...point }) => point);
+        const endTime = trackPoints[trackPoints.length - 1].ts || session.updatedAt;
+        const pauses = (session.pauses || []).map(pause => Object.assign({}, pause, { end: pause.end === null ? endTime : pause.end }));
+        const trackToSave = {
+            name: session.name,
+            startTime: session.startTime,
+            endTime: endTime,
+            points: trackPoints,
+            rawPoints: rawPoints.map(({ id, ...point }) => point),
+            filterSettings: Object.assign({}, gpsFilterSettings),
+            pauses: pauses,
+            distance: calculateTotalDistance(trackPoints),
+            stats: calculateTrackStats(trackPoints, session.startTime, endTime)
+        };
+        try {
+            const id = await db.transaction('rw', db.recorded_tracks, db.photos, async () => {
+                const trackId = await db.recorded_tracks.add(trackToSave);
+                if (window.Photos) await window.Photos.attachRecordingPhotos(trackId);
+                return trackId;
+            });
+            console.log(`[GPSTracking - saveUnfinished] Recovered track "${trackToSave.name}" saved with ID: ${id}`);
+            alert(`Track "${trackToSave.name}" recovered and saved.`);
+        } catch (error) {
+            console.error("[GPSTracking - saveUnfinished] Error saving recovered track:", error);
+            alert("Error saving the recovered track. It will be offered again next time.");
+            return;
+        }
+    } else {
+        console.log("[GPSTracking - saveUnfinished] Unfinished recording had too few points, discarding it.");
+        alert("The unfinished recording had too few points to save.");
+    }
+    if (window.Photos) await window.Photos.attachRecordingPhotos(null);
+    await clearRecordingSession();
+    loadAndDisplaySavedTracks();
+}
+
 async function loadAndDisplaySavedTracks() {
     if (!recordedTracksListContainer) {
         // console.warn("[GPSTracking - loadTracks] Recorded tracks list container not found. Cannot display tracks.");
@@ -237,6 +744,7 @@ async function loadAndDisplaySavedTracks() {
     try {
         const tracks = await db.recorded_tracks.orderBy("startTime").reverse().toArray();
         recordedTracksListContainer.innerHTML = ""; 
+        if (window.PhotoImport) window.PhotoImport.populateTrackSelect(tracks);
         if (tracks.length === 0) {
             recordedTracksListContainer.innerHTML = "<p>No tracks recorded yet.</p>";
             return;
@@ -246,22 +754,59 @@ async function loadAndDisplaySavedTracks() {
             const li = document.createElement("li");
             const duration = track.endTime ? formatDuration(track.endTime - track.startTime) : "N/A";
             const distanceKm = track.distance ? (track.distance / 1000).toFixed(2) : "N/A";
+            const importNote = track.source === "import" ? `<small>Imported from ${escapeXml(track.importedFrom)}</small><br>` : "";
+            const stats = track.stats;
             li.innerHTML = `
+                <input type="checkbox" class="track-select-checkbox" data-track-id="${track.id}" title="Select for multi-track export">
                 <strong>${escapeXml(track.name)}</strong><br>
                 <small>Date: ${new Date(track.startTime).toLocaleDateString()}</small><br>
-                <small>Duration: ${duration}</small><br>
+                <small>Duration: ${duration}${stats && stats.movingMs ? ` (moving ${formatDuration(stats.movingMs)})` : ""}</small><br>
                 <small>Distance: ${distanceKm} km</small><br>
+                ${track.notes ? `<small>Notes: ${escapeXml(track.notes)}</small><br>` : ""}
+                ${importNote}
+                ${track.pauses && track.pauses.length > 0 ? `<small>Paused: ${formatDuration(track.pauses.reduce((sum, pause) => sum + (pause.end - pause.start), 0))} in ${track.pauses.length} pause(s)</small><br>` : ""}
+                ${track.rawPoints ? `<small>Points: ${track.points.length} kept of ${track.rawPoints.length} GPS fixes</small><br>` : ""}
+                ${stats ? `<small>Avg pace: ${formatPace(stats.avgPace)} &middot; Ascent: ${Math.round(stats.ascent)} m &middot; Descent: ${Math.round(stats.descent)} m</small><br>` : ""}
+                <div class="photo-strip" data-track-id="${track.id}" style="display: none;"></div>
                 <button class="view-track-btn" data-track-id="${track.id}">View on Map</button>
-                <button class="export-track-btn" data-track-id="${track.id}">Export GPX</button>
+                <button class="replay-track-btn" data-track-id="${track.id}">Replay</button>
+                <button class="analyse-track-btn" data-track-id="${track.id}">Analysis</button>
+                <button class="export-track-btn" data-track-id="${track.id}">Export</button>
+                <button class="edit-track-btn" data-track-id="${track.id}">Edit</button>
+                <button class="compare-track-btn" data-track-id="${track.id}">Compare with trail</button>
                 <button class="delete-track-btn" data-track-id="${track.id}">Delete</button>
             `;
             ul.appendChild(li);
         });
         recordedTracksListContainer.appendChild(ul);
 
+        if (window.Photos) {
+            ul.querySelectorAll(".photo-strip").forEach(strip => window.Photos.renderPhotoStrip(strip, { trackId: parseInt(strip.dataset.trackId) }));
+        }
         document.querySelectorAll(".view-track-btn").forEach(btn => btn.addEventListener("click", handleViewTrack));
         document.querySelectorAll(".delete-track-btn").forEach(btn => btn.addEventListener("click", handleDeleteTrack));
         document.querySelectorAll(".export-track-btn").forEach(btn => btn.addEventListener("click", handleExportTrack));
+        document.querySelectorAll(".compare-track-btn").forEach(btn => btn.addEventListener("click", (event) => {
+            const trackId = parseInt(event.target.dataset.trackId);
+            const trailSelect = document.getElementById("track-compare-trail");
+            if (!trailSelect || !trailSelect.value) {
+                alert("Choose an official trail to compare with first.");
+                return;
+            }
+            if (!isNaN(trackId) && window.TrackCompare) window.TrackCompare.showComparison(trackId, trailSelect.value);
+        }));
+        document.querySelectorAll(".replay-track-btn").forEach(btn => btn.addEventListener("click", (event) => {
+            const trackId = parseInt(event.target.dataset.trackId);
+            if (!isNaN(trackId) && window.TrackReplay) window.TrackReplay.open(trackId);
+        }));
+        document.querySelectorAll(".analyse-track-btn").forEach(btn => btn.addEventListener("click", (event) => {
+            const trackId = parseInt(event.target.dataset.trackId);
+            if (!isNaN(trackId) && window.TrackAnalysis) window.TrackAnalysis.open(trackId);
+        }));
+        document.querySelectorAll(".edit-track-btn").forEach(btn => btn.addEventListener("click", (event) => {
+            const trackId = parseInt(event.target.dataset.trackId);
+            if (!isNaN(trackId) && window.TrackEditor) window.TrackEditor.open(trackId);
+        }));
 
     } catch (error) {
         console.error("[GPSTracking - loadTracks] Error loading tracks from IndexedDB:", error);
@@ -277,7 +822,32 @@ async function handleViewTrack(event) {
         if (track && track.points && typeof map !== "undefined" && map && typeof L !== "undefined") {
             if (displayedSavedTrackLayer) map.removeLayer(displayedSavedTrackLayer);
             const latLngs = track.points.map(p => [p.lat, p.lng]);
-            displayedSavedTrackLayer = L.polyline(latLngs, { color: "blue", weight: 4, opacity: 0.7 }).addTo(map);
+            displayedSavedTrackLayer = L.featureGroup();
+            // The unfiltered fixes are drawn faintly underneath so the effect of filtering can be seen
+            if (track.rawPoints && track.rawPoints.length > 0) {
+                L.polyline(track.rawPoints.map(p => [p.lat, p.lng]), { color: "#888", weight: 2, opacity: 0.6, dashArray: "4, 4" })
+                    .bindTooltip("Raw GPS fixes").addTo(displayedSavedTrackLayer);
+            }
+            const pauses = track.pauses || [];
+            if (pauses.length > 0) {
+                // Each stretch between pauses is its own segment; the pauses are marked where they happened
+                splitTrackByPauses(track.points, pauses).forEach((segment, index) => {
+                    L.polyline(segment.map(p => [p.lat, p.lng]), { color: TRACK_SEGMENT_COLORS[index % TRACK_SEGMENT_COLORS.length], weight: 4, opacity: 0.8 })
+                        .bindTooltip(`Segment ${index + 1}`).addTo(displayedSavedTrackLayer);
+                });
+                pauses.forEach(pause => {
+                    const location = findPointAtTime(track.points, pause.start);
+                    if (!location) return;
+                    L.marker([location.lat, location.lng], {
+                        icon: L.divIcon({ className: "app-marker track-pause-marker", html: "⏸", iconSize: [22, 22], iconAnchor: [11, 11] })
+                    }).bindPopup(`<strong>${pause.auto ? "Auto-pause" : "Pause"}</strong><br>` +
+                        `${new Date(pause.start).toLocaleTimeString()} - ${new Date(pause.end).toLocaleTimeString()}<br>` +
+                        `Duration: ${formatDuration(pause.end - pause.start)}`).addTo(displayedSavedTrackLayer);
+                });
+            } else {
+                L.polyline(latLngs, { color: "blue", weight: 4, opacity: 0.7 }).addTo(displayedSavedTrackLayer);
+            }
+            displayedSavedTrackLayer.addTo(map);
             if (latLngs.length > 0) map.fitBounds(displayedSavedTrackLayer.getBounds());
             console.log(`[GPSTracking - viewTrack] Displaying track ID ${trackId} on map.`);
             if (typeof window.switchSection === "function") window.switchSection("map");
@@ -301,6 +871,7 @@ async function handleDeleteTrack(event) {
         }
         if (confirm(`Are you sure you want to delete the track "${escapeXml(track.name)}"?`)) {
             await db.recorded_tracks.delete(trackId);
+            if (window.Photos) await window.Photos.deletePhotosFor({ trackId: trackId });
             console.log(`[GPSTracking - deleteTrack] Deleted track ID ${trackId}.`);
             alert("Track deleted successfully.");
             // Check if the deleted track was the one being displayed
@@ -322,6 +893,12 @@ async function handleExportTrack(event) {
     try {
         const track = await db.recorded_tracks.get(trackId);
         if (track && track.points) {
+            const format = getSelectedExportFormat();
+            if (window.TrackExport) {
+                const filename = window.TrackExport.exportTracks([track], format);
+                console.log(`[GPSTracking - exportTrack] Exported track ID ${trackId} as ${filename}.`);
+                return;
+            }
             const gpxData = convertToGPX(track);
             const filename = `${track.name.replace(/[^a-z0-9_\-]/gi, "_")}.gpx`;
             downloadGPX(gpxData, filename);
@@ -330,46 +907,86 @@ async function handleExportTrack(event) {
             alert("Could not load track data for export.");
         }
     } catch (error) {
-        console.error("[GPSTracking - exportTrack] Error fetching track for export:", error);
-        alert("Error exporting track.");
+        console.error("[GPSTracking - exportTrack] Error exporting track:", error);
+        alert(`Error exporting track: ${error.message}`);
+    }
+}
+
+function getSelectedExportFormat() {
+    const formatSelect = document.getElementById("track-export-format");
+    return formatSelect ? formatSelect.value : "gpx";
+}
+
+// Export every track ticked in the list as one file in the chosen format
+async function handleExportSelectedTracks() {
+    const trackIds = Array.from(document.querySelectorAll(".track-select-checkbox:checked"))
+        .map(checkbox => parseInt(checkbox.dataset.trackId))
+        .filter(id => !isNaN(id));
+    if (trackIds.length === 0) {
+        alert("Tick the tracks you want to export first.");
+        return;
+    }
+    try {
+        const tracks = (await db.recorded_tracks.bulkGet(trackIds)).filter(track => track && track.points);
+        const filename = window.TrackExport.exportTracks(tracks, getSelectedExportFormat());
+        console.log(`[GPSTracking - exportSelected] Exported ${tracks.length} tracks as ${filename}.`);
+    } catch (error) {
+        console.error("[GPSTracking - exportSelected] Error exporting selected tracks:", error);
+        alert(`Error exporting tracks: ${error.message}`);
     }
 }
 
-function convertToGPX(track) {
+// Accepts a single track or an array of tracks; each becomes its own <trk>
+function convertToGPX(trackOrTracks) {
+    const tracks = Array.isArray(trackOrTracks) ? trackOrTracks : [trackOrTracks];
+    const documentName = tracks.length === 1 ? tracks[0].name : `${tracks.length} tracks`;
     let gpx = 
 `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
 <gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:gpxx="http://www.garmin.com/xmlschemas/GpxExtensions/v3" xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1" creator="QueenRoseHikingApp" version="1.1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd http://www.garmin.com/xmlschemas/GpxExtensions/v3 http://www.garmin.com/xmlschemas/GpxExtensionsv3.xsd http://www.garmin.com/xmlschemas/TrackPointExtension/v1 http://www.garmin.com/xmlschemas/TrackPointExtensionv1.xsd">
   <metadata>
-    <name>${escapeXml(track.name)}</name>
-    <time>${new Date(track.startTime).toISOString()}</time>
+    <name>${escapeXml(documentName)}</name>
+    <time>${new Date(tracks[0].startTime).toISOString()}</time>
   </metadata>
-  <trk>
+`;
+
+    tracks.forEach(track => {
+        gpx += convertTrackToGPXTrk(track);
+    });
+
+    gpx += `</gpx>`;
+    return gpx;
+}
+
+function convertTrackToGPXTrk(track) {
+    let trk = 
+`  <trk>
     <name>${escapeXml(track.name)}</name>
     <trkseg>
 `;
 
     track.points.forEach(p => {
-        gpx += `      <trkpt lat="${p.lat}" lon="${p.lng}">
+        trk += `      <trkpt lat="${p.lat}" lon="${p.lng}">
 `;
         if (p.alt !== null && p.alt !== undefined) { // Corrected check for altitude
-            gpx += `        <ele>${p.alt}</ele>
+            trk += `        <ele>${p.alt}</ele>
 `;
         }
         if (p.ts !== null && p.ts !== undefined) {
-            gpx += `        <time>${new Date(p.ts).toISOString()}</time>
+            trk += `        <time>${new Date(p.ts).toISOString()}</time>
 `;
         }
-        gpx += `      </trkpt>
+        trk += `      </trkpt>
 `;
     });
 
-    gpx += 
+    trk += 
 `    </trkseg>
   </trk>
-</gpx>`;
-    return gpx;
+`;
+    return trk;
 }
 
+// Escapes XML/HTML special characters. Shared by every module that builds markup or export files.
 function escapeXml(unsafe) {
     if (unsafe === null || unsafe === undefined) return "";
     return unsafe.toString().replace(/[<>&'"]/g, function (c) {
@@ -385,7 +1002,11 @@ function escapeXml(unsafe) {
 }
 
 function downloadGPX(data, filename) {
-    const blob = new Blob([data], { type: "application/gpx+xml" });
+    downloadFile(data, filename, "application/gpx+xml");
+}
+
+function downloadFile(data, filename, mimeType) {
+    const blob = new Blob([data], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
@@ -396,6 +1017,291 @@ function downloadGPX(data, filename) {
     URL.revokeObjectURL(url);
 }
 
+// --- Trackback: guide the hiker back to the start along the breadcrumbs recorded so far ---
+
+// Reverse the recorded points into a route; remaining[i] is the distance from point i to the start
+function buildTrackbackRoute(points) {
+    const routePoints = points.slice().reverse().map(p => ({ lat: p.lat, lng: p.lng }));
+    const remaining = new Array(routePoints.length).fill(0);
+    for (let i = routePoints.length - 2; i >= 0; i--) {
+        remaining[i] = remaining[i + 1] + haversineDistance(routePoints[i], routePoints[i + 1]);
+    }
+    return { points: routePoints, remaining: remaining, progressIndex: 0 };
+}
+
+// Nearest point on the route, searching only a stretch ahead of the progress made so far,
+// so that out-and-back sections do not snap to the wrong leg
+function matchTrackbackRoute(route, point) {
+    const first = Math.max(0, route.progressIndex - 2);
+    let last = first + 1;
+    while (last < route.points.length - 1 && route.remaining[first] - route.remaining[last] < TRACKBACK_SEARCH_AHEAD) last++;
+    let match = nearestPointOnPolyline(point, route.points.slice(first, last + 1));
+    let offset = first;
+    if (!match || match.distance > TRACKBACK_OFF_ROUTE_THRESHOLD) {
+        const anywhere = nearestPointOnPolyline(point, route.points);
+        if (anywhere && (!match || anywhere.distance < match.distance)) {
+            match = anywhere;
+            offset = 0;
+        }
+    }
+    match.segmentIndex += offset;
+    return match;
+}
+
+// Point a given distance further along the route from a matched position
+function pointAlongTrackbackRoute(route, match, distance) {
+    let index = match.segmentIndex;
+    let from = { lat: match.lat, lng: match.lng };
+    let left = distance;
+    while (index < route.points.length - 1) {
+        const to = route.points[index + 1];
+        const legLength = haversineDistance(from, to);
+        if (legLength >= left) {
+            const t = legLength > 0 ? left / legLength : 0;
+            return { lat: from.lat + (to.lat - from.lat) * t, lng: from.lng + (to.lng - from.lng) * t };
+        }
+        left -= legLength;
+        from = to;
+        index++;
+    }
+    return route.points[route.points.length - 1];
+}
+
+function startTrackback() {
+    if (!isRecording || currentTrackPoints.length < 2) {
+        alert("There is no recorded track to follow back yet.");
+        return;
+    }
+    trackbackRoute = buildTrackbackRoute(currentTrackPoints);
+    trackbackOffRoute = false;
+    if (typeof map !== "undefined" && map) {
+        trackbackLayer = L.featureGroup([
+            L.polyline(trackbackRoute.points.map(p => [p.lat, p.lng]), { color: "#00C853", weight: 6, opacity: 0.8, dashArray: "10, 8" }),
+            L.marker([trackbackRoute.points[trackbackRoute.points.length - 1].lat, trackbackRoute.points[trackbackRoute.points.length - 1].lng], {
+                icon: L.divIcon({ className: "app-marker trackback-start-marker", html: "🏁", iconSize: [26, 26], iconAnchor: [13, 13] })
+            }).bindTooltip("Start of the track")
+        ]).addTo(map);
+        map.fitBounds(trackbackLayer.getBounds(), { padding: [20, 20] });
+    }
+    renderTrackbackPanel(null, null, null);
+    updateRecordingButtons();
+    console.log(`[GPSTracking - trackback] Trackback started along ${trackbackRoute.points.length} points, ${Math.round(trackbackRoute.remaining[0])} m to the start.`);
+}
+
+function stopTrackback() {
+    if (!trackbackRoute) return;
+    trackbackRoute = null;
+    if (trackbackLayer && typeof map !== "undefined" && map) map.removeLayer(trackbackLayer);
+    trackbackLayer = null;
+    if (trackbackPanel) trackbackPanel.style.display = "none";
+    updateRecordingButtons();
+    console.log("[GPSTracking - trackback] Trackback stopped.");
+}
+
+function updateTrackback(position) {
+    if (!trackbackRoute) return;
+    const { latitude, longitude, accuracy, speed, heading } = position.coords;
+    if (accuracy > gpsFilterSettings.accuracyThreshold) return;
+    const point = { lat: latitude, lng: longitude };
+    const match = matchTrackbackRoute(trackbackRoute, point);
+    if (match.distance <= TRACKBACK_OFF_ROUTE_THRESHOLD) trackbackRoute.progressIndex = Math.max(trackbackRoute.progressIndex, match.segmentIndex);
+
+    const start = trackbackRoute.points[trackbackRoute.points.length - 1];
+    if (haversineDistance(point, start) <= TRACKBACK_ARRIVAL_RADIUS) {
+        if (navigator.vibrate) navigator.vibrate([200, 100, 200]);
+        alert("You are back at the start of the track.");
+        stopTrackback();
+        return;
+    }
+
+    const segmentLength = haversineDistance(trackbackRoute.points[match.segmentIndex], trackbackRoute.points[match.segmentIndex + 1] || trackbackRoute.points[match.segmentIndex]);
+    const remaining = (1 - match.fraction) * segmentLength + (trackbackRoute.remaining[match.segmentIndex + 1] || 0);
+
+    // Off the route: point straight back to it; on the route: point a little way along it
+    const offRoute = match.distance > TRACKBACK_OFF_ROUTE_THRESHOLD;
+    const target = offRoute ? match : pointAlongTrackbackRoute(trackbackRoute, match, TRACKBACK_LOOKAHEAD);
+    const bearing = calculateBearing(point, target);
+    const courseKnown = typeof heading === "number" && !isNaN(heading) && speed !== null && speed > 0.5;
+    const arrowRotation = courseKnown ? bearing - heading : bearing;
+
+    if (offRoute && !trackbackOffRoute) {
+        console.warn(`[GPSTracking - trackback] Strayed ${Math.round(match.distance)} m from the way back.`);
+        if (navigator.vibrate) navigator.vibrate([400, 150, 400, 150, 400]);
+    }
+    trackbackOffRoute = offRoute;
+    renderTrackbackPanel({ remaining: remaining, offRouteDistance: match.distance, offRoute: offRoute }, { bearing: bearing, rotation: arrowRotation }, courseKnown);
+}
+
+function renderTrackbackPanel(progress, direction, courseKnown) {
+    if (!trackbackPanel) return;
+    const compassPoints = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+    trackbackPanel.innerHTML = `
+        <p><strong>↩ Taking you back to the start</strong>
+            <button class="track-compare-close" id="trackback-stop-btn" title="Stop guiding me back">✕</button></p>
+        ${progress && progress.offRoute ? `<p class="trackback-warning">⚠️ You are ${Math.round(progress.offRouteDistance)} m off your track. Follow the arrow back to it.</p>` : ""}
+        <div class="trackback-direction">
+            <div class="trackback-arrow" style="transform: rotate(${direction ? Math.round(direction.rotation) : 0}deg);">${direction ? "⬆" : "…"}</div>
+            <small>${direction ? (courseKnown ? "Relative to your direction of travel" : "Relative to north") : "Waiting for GPS..."}</small>
+        </div>
+        <div class="trail-progress-grid">
+            <div><small>To the start</small><strong>${progress ? (progress.remaining / 1000).toFixed(2) + " km" : (trackbackRoute.remaining[0] / 1000).toFixed(2) + " km"}</strong></div>
+            <div><small>Heading</small><strong>${direction ? `${compassPoints[Math.round(((direction.bearing % 360) + 360) % 360 / 45) % 8]} ${Math.round(((direction.bearing % 360) + 360) % 360)}°` : "—"}</strong></div>
+            <div><small>Off track</small><strong>${progress ? Math.round(progress.offRouteDistance) + " m" : "—"}</strong></div>
+        </div>
+    `;
+    trackbackPanel.querySelector("#trackback-stop-btn").addEventListener("click", stopTrackback);
+    trackbackPanel.style.display = "block";
+}
+
+function updateRecordingStatsPanel() {
+    if (!recordingStatsPanel || !isRecording) return;
+    const stats = calculateTrackStats(currentTrackPoints, currentTrackStartTime, Date.now());
+    recordingStatsPanel.innerHTML = `
+        <div class="recording-stats-grid">
+            <div><small>Elapsed</small><strong>${formatDuration(stats.elapsedMs)}</strong></div>
+            <div><small>Moving</small><strong>${formatDuration(stats.movingMs)}</strong></div>
+            <div><small>Distance</small><strong>${(stats.distance / 1000).toFixed(2)} km</strong></div>
+            <div><small>Altitude</small><strong>${stats.currentAlt !== null ? Math.round(stats.currentAlt) + " m" : "—"}</strong></div>
+            <div><small>Pace</small><strong>${formatPace(stats.currentPace)}</strong></div>
+            <div><small>Avg pace</small><strong>${formatPace(stats.avgPace)}</strong></div>
+            <div><small>Ascent</small><strong>${Math.round(stats.ascent)} m</strong></div>
+            <div><small>Descent</small><strong>${Math.round(stats.descent)} m</strong></div>
+        </div>
+    `;
+}
+
+// Summary stats for a list of track points. Paces are in seconds per km (null when unknown);
+// ascent and descent come from a moving average of the GPS altitude with a small dead band.
+function calculateTrackStats(points, startTime, endTime) {
+    const stats = {
+        elapsedMs: startTime && endTime ? Math.max(0, endTime - startTime) : 0,
+        movingMs: 0,
+        distance: 0,
+        avgPace: null,
+        currentPace: null,
+        ascent: 0,
+        descent: 0,
+        currentAlt: null,
+        maxAlt: null,
+        minAlt: null
+    };
+    if (!points || points.length === 0) return stats;
+
+    let movingDistance = 0;
+    for (let i = 1; i < points.length; i++) {
+        const legDistance = haversineDistance(points[i - 1], points[i]);
+        const legMs = points[i].ts - points[i - 1].ts;
+        stats.distance += legDistance;
+        if (legMs > 0 && legDistance / (legMs / 1000) >= MIN_MOVING_SPEED) {
+            stats.movingMs += legMs;
+            movingDistance += legDistance;
+        }
+    }
+    if (movingDistance > 0) stats.avgPace = (stats.movingMs / 1000) / (movingDistance / 1000);
+
+    const lastTs = points[points.length - 1].ts;
+    const recent = points.filter(p => lastTs - p.ts <= CURRENT_PACE_WINDOW_MS);
+    if (recent.length > 1) {
+        const recentDistance = calculateTotalDistance(recent);
+        const recentMs = recent[recent.length - 1].ts - recent[0].ts;
+        if (recentMs > 0 && recentDistance / (recentMs / 1000) >= MIN_MOVING_SPEED) {
+            stats.currentPace = (recentMs / 1000) / (recentDistance / 1000);
+        }
+    }
+
+    const smoothed = smoothAltitudes(points);
+    if (smoothed.length > 0) {
+        let reference = smoothed[0];
+        smoothed.forEach(alt => {
+            const change = alt - reference;
+            if (change >= ELEVATION_CHANGE_THRESHOLD) {
+                stats.ascent += change;
+                reference = alt;
+            } else if (change <= -ELEVATION_CHANGE_THRESHOLD) {
+                stats.descent -= change;
+                reference = alt;
+            }
+        });
+        stats.currentAlt = smoothed[smoothed.length - 1];
+        stats.maxAlt = smoothed.reduce((max, alt) => Math.max(max, alt), -Infinity);
+        stats.minAlt = smoothed.reduce((min, alt) => Math.min(min, alt), Infinity);
+    }
+    return stats;
+}
+
+// Centred moving average of the points that have an altitude
+function smoothAltitudes(points) {
+    const altitudes = points.map(p => p.alt).filter(alt => alt !== null && alt !== undefined && !isNaN(alt));
+    const half = Math.floor(ALTITUDE_SMOOTHING_WINDOW / 2);
+    return altitudes.map((alt, i) => {
+        const neighbours = altitudes.slice(Math.max(0, i - half), i + half + 1);
+        return neighbours.reduce((sum, value) => sum + value, 0) / neighbours.length;
+    });
+}
+
+// Refresh the derived fields of a track after its points have been edited
+function recomputeTrackSummary(track) {
+    const points = track.points;
+    if (points.length > 0 && points[0].ts !== null && points[0].ts !== undefined) {
+        track.startTime = points[0].ts;
+        if (points[points.length - 1].ts !== null && points[points.length - 1].ts !== undefined) {
+            track.endTime = points[points.length - 1].ts;
+        }
+    }
+    if (track.pauses) {
+        // Drop pauses outside the remaining time range and clip the ones at the edges
+        track.pauses = track.pauses
+            .filter(pause => pause.end > track.startTime && (!track.endTime || pause.start < track.endTime))
+            .map(pause => Object.assign({}, pause, {
+                start: Math.max(pause.start, track.startTime),
+                end: track.endTime ? Math.min(pause.end, track.endTime) : pause.end
+            }));
+    }
+    track.distance = calculateTotalDistance(points);
+    track.stats = calculateTrackStats(points, track.startTime, track.endTime);
+    delete track.trailComparisons; // Stale once the points change; the logbook compares again
+    return track;
+}
+
+const TRACK_SEGMENT_COLORS = ["blue", "#9C27B0", "#00897B", "#E65100"];
+
+// Split track points into the stretches recorded between pause intervals
+function splitTrackByPauses(points, pauses) {
+    const segments = [];
+    let current = [];
+    let pauseIndex = 0;
+    const sortedPauses = (pauses || []).slice().sort((a, b) => a.start - b.start);
+    points.forEach(point => {
+        while (pauseIndex < sortedPauses.length && point.ts >= sortedPauses[pauseIndex].start) {
+            if (current.length > 0) segments.push(current);
+            current = [];
+            pauseIndex++;
+        }
+        current.push(point);
+    });
+    if (current.length > 0) segments.push(current);
+    return segments;
+}
+
+// The last point recorded at or before a time (the first point if the time is earlier)
+function findPointAtTime(points, time) {
+    if (!points || points.length === 0) return null;
+    let found = points[0];
+    for (const point of points) {
+        if (point.ts > time) break;
+        found = point;
+    }
+    return found;
+}
+
+function formatPace(secondsPerKm) {
+    if (!secondsPerKm || !isFinite(secondsPerKm)) return "—";
+    const totalSeconds = Math.round(secondsPerKm);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, "0")} /km`;
+}
+
 function formatDuration(ms) {
     let seconds = Math.floor(ms / 1000);
     let minutes = Math.floor(seconds / 60);
@@ -427,6 +1333,73 @@ function haversineDistance(coords1, coords2) {
     return R * c;
 }
 
+// Initial bearing in degrees (0 = north, clockwise) from one {lat, lng} to another
+function calculateBearing(from, to) {
+    const toRad = (x) => x * Math.PI / 180;
+    const dLng = toRad(to.lng - from.lng);
+    const y = Math.sin(dLng) * Math.cos(toRad(to.lat));
+    const x = Math.cos(toRad(from.lat)) * Math.sin(toRad(to.lat)) - Math.sin(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Closest point on a polyline (array of {lat, lng}) to a position.
+// Segments are projected onto a local flat plane around the position, which is accurate at trail scale.
+// Returns { lat, lng, distance, segmentIndex, fraction } or null for an empty line.
+function nearestPointOnPolyline(point, lineLatLngs) {
+    if (!lineLatLngs || lineLatLngs.length === 0) return null;
+    if (lineLatLngs.length === 1) {
+        return { lat: lineLatLngs[0].lat, lng: lineLatLngs[0].lng, distance: haversineDistance(point, lineLatLngs[0]), segmentIndex: 0, fraction: 0 };
+    }
+    const metresPerDegLat = 111320;
+    const metresPerDegLng = 111320 * Math.cos(point.lat * Math.PI / 180);
+    const toXY = (p) => ({ x: (p.lng - point.lng) * metresPerDegLng, y: (p.lat - point.lat) * metresPerDegLat });
+
+    let best = null;
+    for (let i = 0; i < lineLatLngs.length - 1; i++) {
+        const a = toXY(lineLatLngs[i]);
+        const b = toXY(lineLatLngs[i + 1]);
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+        const x = a.x + t * dx;
+        const y = a.y + t * dy;
+        const planarDistSq = x * x + y * y;
+        if (!best || planarDistSq < best.planarDistSq) {
+            best = { planarDistSq: planarDistSq, segmentIndex: i, fraction: t };
+        }
+    }
+    const start = lineLatLngs[best.segmentIndex];
+    const end = lineLatLngs[best.segmentIndex + 1];
+    const nearest = {
+        lat: start.lat + (end.lat - start.lat) * best.fraction,
+        lng: start.lng + (end.lng - start.lng) * best.fraction
+    };
+    return {
+        lat: nearest.lat,
+        lng: nearest.lng,
+        distance: haversineDistance(point, nearest),
+        segmentIndex: best.segmentIndex,
+        fraction: best.fraction
+    };
+}
+
+// Broadcast a raw geolocation fix so other features (e.g. follow-trail mode) can react to it
+function broadcastPosition(position, source) {
+    window.dispatchEvent(new CustomEvent("gps-position", { detail: { position: position, source: source } }));
+}
+
+// The page may be killed without warning once hidden, so persist what we have
+document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "hidden" && isRecording) {
+        flushPendingTrackPoints();
+        saveRecordingSession();
+    }
+});
+window.addEventListener("pagehide", () => {
+    if (isRecording) flushPendingTrackPoints();
+});
+
 // Ensure this is called after the DOM is fully loaded
 if (document.readyState === "loading") {  // Loading hasn't finished yet
     document.addEventListener("DOMContentLoaded", initGPSTrackingControls);
@@ -437,6 +1410,10 @@ if (document.readyState === "loading") {  // Loading hasn't finished yet
 // Expose functions to be called from app.js or other modules if needed
 window.gpsTracking = {
     loadAndDisplaySavedTracks,
+    getGpsFilterSettings: () => Object.assign({}, gpsFilterSettings),
+    setGpsFilterSettings,
+    setAutoPauseEnabled,
+    addGpsFilterStage,
     initGPSTrackingControls // Expose for potential re-init if needed
 };
 
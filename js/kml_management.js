@@ -158,6 +158,10 @@ async function handleViewKMLOnMap(event) {
                 });
             }
             
+            // Leave trail compare mode so its legend does not outlive the hidden trails
+            if (typeof setTrailCompareMode === "function") setTrailCompareMode(false, false);
+            if (typeof removeTrailCompareLegend === "function") removeTrailCompareLegend();
+
             // Reset the trail selector to "No Trails" option
             const trailSelector = document.getElementById("trail-select");
             if (trailSelector) {
@@ -241,20 +245,6 @@ async function handleDeleteKMLFile(event) {
     }
 }
 
-// Helper to escape XML/HTML special characters for display
-function escapeXml(unsafe) {
-    if (typeof unsafe !== 'string') return '';
-    return unsafe.replace(/[<>&'"]/g, function (c) {
-        switch (c) {
-            case '<': return '&lt;';
-            case '>': return '&gt;';
-            case '&': return '&amp;';
-            case '\'': return '&apos;';
-            case '"': return '&quot;';
-        }
-    });
-}
-
 // Ensure this init function is called when the "My KMLs" section becomes active.
 // This might be handled in app.js's switchSection logic or by listening to a custom event.
 // For now, we can add a direct call if app.js structure allows, or call it from app.js
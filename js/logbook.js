@@ -0,0 +1,232 @@
+// js/logbook.js
+// Personal hiking logbook: lifetime totals over all recorded tracks, totals per week, month
+// and year, the longest hike, and badges for the official trails that have been completed.
+
+(function() {
+    'use strict';
+
+    console.log("[Logbook] logbook.js loaded.");
+
+    const BBOX_MARGIN_DEGREES = 0.005; // ~500 m - tracks further than this from a trail are not compared
+
+    let logbookContainer;
+    let periodSelect;
+    let refreshPromise = null;
+
+    function startOfWeek(time) {
+        const date = new Date(time);
+        date.setHours(0, 0, 0, 0);
+        date.setDate(date.getDate() - ((date.getDay() + 6) % 7)); // Weeks start on Monday
+        return date;
+    }
+
+    const PERIODS = {
+        week: {
+            key: time => startOfWeek(time).getTime(),
+            label: key => `Week of ${new Date(key).toLocaleDateString()}`
+        },
+        month: {
+            key: time => new Date(new Date(time).getFullYear(), new Date(time).getMonth(), 1).getTime(),
+            label: key => new Date(key).toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+        },
+        year: {
+            key: time => new Date(new Date(time).getFullYear(), 0, 1).getTime(),
+            label: key => String(new Date(key).getFullYear())
+        }
+    };
+
+    function trackTotals(track) {
+        const stats = track.stats || {};
+        return {
+            distance: track.distance || 0,
+            durationMs: stats.movingMs || (track.endTime && track.startTime ? track.endTime - track.startTime : 0),
+            ascent: stats.ascent || 0
+        };
+    }
+
+    // Lifetime totals, the longest hike and per-period rows (newest period first)
+    function summariseTracks(tracks, periodId) {
+        const period = PERIODS[periodId] || PERIODS.month;
+        const summary = { hikes: tracks.length, distance: 0, durationMs: 0, ascent: 0, longest: null, periods: [] };
+        const periods = new Map();
+        tracks.forEach(track => {
+            const totals = trackTotals(track);
+            summary.distance += totals.distance;
+            summary.durationMs += totals.durationMs;
+            summary.ascent += totals.ascent;
+            if (!summary.longest || totals.distance > summary.longest.distance) summary.longest = track;
+
+            const key = period.key(track.startTime);
+            if (!periods.has(key)) periods.set(key, { key: key, label: period.label(key), hikes: 0, distance: 0, durationMs: 0, ascent: 0 });
+            const row = periods.get(key);
+            row.hikes++;
+            row.distance += totals.distance;
+            row.durationMs += totals.durationMs;
+            row.ascent += totals.ascent;
+        });
+        summary.periods = Array.from(periods.values()).sort((a, b) => b.key - a.key);
+        return summary;
+    }
+
+    function boundsOf(points) {
+        return points.reduce((box, p) => ({
+            minLat: Math.min(box.minLat, p.lat), maxLat: Math.max(box.maxLat, p.lat),
+            minLng: Math.min(box.minLng, p.lng), maxLng: Math.max(box.maxLng, p.lng)
+        }), { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity });
+    }
+
+    function boundsOverlap(a, b) {
+        return a.minLat - BBOX_MARGIN_DEGREES <= b.maxLat && b.minLat - BBOX_MARGIN_DEGREES <= a.maxLat &&
+            a.minLng - BBOX_MARGIN_DEGREES <= b.maxLng && b.minLng - BBOX_MARGIN_DEGREES <= a.maxLng;
+    }
+
+    // Compare every track with every single-day route it comes near, reusing the comparisons
+    // already stored on the track. New results are saved so the next visit is instant.
+    async function updateTrailComparisons(tracks, trails) {
+        const routes = trails.filter(trail => !trail.segments);
+        const trackBounds = new Map(tracks.map(track => [track.id, boundsOf(track.points)]));
+        for (const trail of routes) {
+            const pending = tracks.filter(track => !(track.trailComparisons && track.trailComparisons[trail.id]));
+            if (pending.length === 0) continue;
+            let trailLines;
+            try {
+                trailLines = window.TrackCompare.getTrailLines(await loadTrail(trail.id));
+            } catch (error) {
+                console.warn(`[Logbook - compare] Could not load trail ${trail.id}:`, error);
+                continue;
+            }
+            if (trailLines.length === 0) continue;
+            const trailBounds = boundsOf([].concat(...trailLines));
+            for (const track of pending) {
+                // Tracks nowhere near the trail get a zero result too, so they are not reconsidered
+                const result = boundsOverlap(trackBounds.get(track.id), trailBounds)
+                    ? window.TrackCompare.compareTrackToTrail(track.points, trailLines)
+                    : { coverage: 0, completed: false };
+                track.trailComparisons = Object.assign({}, track.trailComparisons);
+                track.trailComparisons[trail.id] = { coverage: result.coverage, completed: result.completed, comparedAt: Date.now() };
+                await db.recorded_tracks.update(track.id, { trailComparisons: track.trailComparisons });
+            }
+        }
+    }
+
+    // One badge per one-day trail and multi-day trail. A multi-day trail counts as completed
+    // when it was walked in one go or when every one of its days has been completed.
+    function calculateBadges(tracks, trails) {
+        const bestFor = (trailId) => {
+            let best = { coverage: 0, completed: false, completedAt: null };
+            tracks.forEach(track => {
+                const comparison = track.trailComparisons && track.trailComparisons[trailId];
+                if (!comparison) return;
+                if (comparison.coverage > best.coverage) best = Object.assign({}, best, { coverage: comparison.coverage });
+                if (comparison.completed && (!best.completedAt || track.startTime < best.completedAt)) {
+                    best = Object.assign({}, best, { completed: true, completedAt: track.startTime });
+                }
+            });
+            return best;
+        };
+        return trails.filter(trail => !trail.parentId).map(trail => {
+            const badge = Object.assign({ trail: trail }, bestFor(trail.id));
+            if (trail.segments && !badge.completed) {
+                const days = trail.segments.map(bestFor);
+                badge.daysCompleted = days.filter(day => day.completed).length;
+                if (badge.daysCompleted === days.length) {
+                    badge.completed = true;
+                    badge.completedAt = days.reduce((latest, day) => Math.max(latest, day.completedAt), 0);
+                }
+            }
+            return badge;
+        });
+    }
+
+    function renderLogbook(tracks, badges) {
+        const summary = summariseTracks(tracks, periodSelect.value);
+        const completedCount = badges.filter(badge => badge.completed).length;
+        const periodRows = summary.periods.map(row => `
+            <tr>
+                <td>${escapeXml(row.label)}</td>
+                <td>${row.hikes}</td>
+                <td>${(row.distance / 1000).toFixed(1)} km</td>
+                <td>${formatDuration(row.durationMs)}</td>
+                <td>${Math.round(row.ascent)} m</td>
+            </tr>`).join('');
+        const badgeItems = badges.map(badge => {
+            let detail;
+            if (badge.completed) detail = `Completed ${new Date(badge.completedAt).toLocaleDateString()}`;
+            else if (badge.trail.segments) detail = `${badge.daysCompleted || 0} of ${badge.trail.segments.length} days`;
+            else detail = badge.coverage > 0 ? `Best: ${Math.round(badge.coverage)}%` : 'Not yet walked';
+            return `<div class="logbook-badge${badge.completed ? ' logbook-badge-completed' : ''}">
+                <span class="logbook-badge-icon">${badge.completed ? '🏅' : '⛰️'}</span>
+                <strong>${escapeXml(badge.trail.name)}</strong>
+                <small>${detail}</small>
+            </div>`;
+        }).join('');
+
+        logbookContainer.innerHTML = `
+            <div class="trail-progress-grid">
+                <div><small>Hikes</small><strong>${summary.hikes}</strong></div>
+                <div><small>Distance</small><strong>${(summary.distance / 1000).toFixed(1)} km</strong></div>
+                <div><small>Time</small><strong>${formatDuration(summary.durationMs)}</strong></div>
+                <div><small>Total ascent</small><strong>${Math.round(summary.ascent)} m</strong></div>
+            </div>
+            ${summary.longest ? `<p>Longest hike: <strong>${escapeXml(summary.longest.name)}</strong>,
+                ${(summary.longest.distance / 1000).toFixed(2)} km on ${new Date(summary.longest.startTime).toLocaleDateString()}</p>` : ''}
+            <h3>Trail badges (${completedCount} of ${badges.length})</h3>
+            <div class="logbook-badges">${badgeItems}</div>
+            <h3>Totals</h3>
+            <table class="logbook-table">
+                <thead><tr><th></th><th>Hikes</th><th>Distance</th><th>Time</th><th>Ascent</th></tr></thead>
+                <tbody>${periodRows || '<tr><td colspan="5">No hikes recorded yet.</td></tr>'}</tbody>
+            </table>
+        `;
+    }
+
+    async function loadLogbook() {
+        const [tracks, trails] = await Promise.all([
+            db.recorded_tracks.orderBy('startTime').toArray(),
+            trailsReady
+        ]);
+        const usableTracks = tracks.filter(track => track.points && track.points.length > 1);
+        if (window.TrackCompare && typeof loadTrail === 'function') {
+            logbookContainer.innerHTML = '<p>Checking your tracks against the official trails...</p>';
+            await updateTrailComparisons(usableTracks, trails);
+        }
+        renderLogbook(usableTracks, calculateBadges(usableTracks, trails));
+        console.log(`[Logbook - load] Logbook built from ${usableTracks.length} track(s).`);
+    }
+
+    function refreshLogbook() {
+        if (!logbookContainer) return Promise.resolve();
+        if (!refreshPromise) {
+            refreshPromise = loadLogbook()
+                .catch(error => {
+                    console.error("[Logbook - load] Error building the logbook:", error);
+                    logbookContainer.innerHTML = '<p>Error loading the logbook.</p>';
+                })
+                .finally(() => { refreshPromise = null; });
+        }
+        return refreshPromise;
+    }
+
+    function initLogbook() {
+        logbookContainer = document.getElementById('logbook-container');
+        periodSelect = document.getElementById('logbook-period');
+        if (!logbookContainer || !periodSelect) {
+            console.warn("[Logbook - init] Logbook container or period select not found.");
+            return;
+        }
+        periodSelect.addEventListener('change', refreshLogbook);
+        console.log("[Logbook - init] Logbook initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initLogbook);
+    } else {
+        initLogbook();
+    }
+
+    window.Logbook = {
+        summariseTracks,
+        calculateBadges,
+        refresh: refreshLogbook
+    };
+})();
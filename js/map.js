@@ -5,6 +5,17 @@ let userLocationMarker;
 let trailLayers = {}; // Store loaded KML/GPX layers { trailId: layer }
 let trailLoadPromises = {}; // Store promises for loading trails { trailId: promise }
 let currentTrailLayer = null; // Store the single layer currently displayed (not used for 'all')
+let trailCompareMode = false; // True when #trail-select allows several trails at once
+let comparedTrailIds = []; // Trail IDs currently overlaid in compare mode
+let trailCompareLegend = null; // Leaflet control listing the compared trails
+let trailDisplayRequestId = 0; // Guards against out-of-order async trail loads
+let currentDayEndStops = []; // Overnight stops of the multi-day trail on the map [{ name, day, latLng }]
+
+const DEFAULT_TRAIL_STYLE = { color: 'red', weight: 3, opacity: 0.8 };
+// One colour per day of a multi-day trail
+const DAY_SEGMENT_COLORS = ['#E53935', '#1E88E5', '#FDD835', '#43A047', '#8E24AA', '#FB8C00'];
+// Distinct colours for overlaid trails, assigned in selection order
+const COMPARE_TRAIL_COLORS = ['#E53935', '#1E88E5', '#FDD835', '#43A047', '#8E24AA', '#FB8C00', '#00ACC1', '#D81B60', '#6D4C41', '#FFFFFF'];
 
 // Load KML/GPX data for a trail, return promise resolving with the layer
 function loadTrail(trailId) {
@@ -28,7 +39,7 @@ function loadTrail(trailId) {
         return Promise.reject(`Trail data not found for ID: ${trailId}`);
     }
 
-    const kmlPath = `/kml/${trail.kmlFilename}`; // Use absolute path from root and kmlFilename property
+    const kmlPath = trail.kml; // Path relative to the app root, from the trails manifest
     console.log(`[Map - loadTrail] KML path set to: ${kmlPath}`);
 
     console.log(`[Map - loadTrail] Starting fetch for ${kmlPath}...`);
@@ -62,11 +73,19 @@ function loadTrail(trailId) {
                  throw new Error(`No features found in KML for ${trailId}`);
             }
             console.log(`[Map - loadTrail] GeoJSON conversion successful for ${trailId}. Found ${geojson.features.length} features. Creating Leaflet layer...`);
+            // POIs come from the manifest; older entries without them fall back to the KML's named placemarks
+            if (window.TrailPOIs) {
+                if (Array.isArray(trail.pois)) {
+                    window.TrailPOIs.registerTrailPois(trailId, trail.pois);
+                } else {
+                    window.TrailPOIs.registerTrailFeatures(trailId, geojson.features);
+                }
+            }
             const layer = L.geoJSON(geojson, {
                 style: function (feature) {
                     // Only style lines
                     if (feature.geometry.type === 'LineString' || feature.geometry.type === 'MultiLineString') {
-                        return { color: 'red', weight: 3, opacity: 0.8 };
+                        return Object.assign({}, DEFAULT_TRAIL_STYLE);
                     }
                 },
                 filter: function(feature, layer) {
@@ -92,6 +111,13 @@ function loadTrail(trailId) {
 // Display selected trail (async function to handle loading)
 async function displayTrail(trailId) {
     console.log(`[Map - displayTrail] Displaying trail: ${trailId}`);
+    const requestId = ++trailDisplayRequestId;
+
+    // Showing a single trail always leaves compare mode
+    if (trailCompareMode) setTrailCompareMode(false, false);
+    comparedTrailIds = [];
+    currentDayEndStops = [];
+    removeTrailCompareLegend();
     
     // Update the trail selector dropdown to match the selected trail
     const trailSelect = document.getElementById('trail-select');
@@ -130,6 +156,7 @@ async function displayTrail(trailId) {
     // If 'none' is selected, don't display any trails
     if (trailId === 'none') {
         console.log("[Map - displayTrail] 'none' selected, no trails will be displayed.");
+        if (window.TrailPOIs) window.TrailPOIs.showPoisForTrails([]);
         // Ensure all layers are cleared
         if (window.currentlyDisplayedKMLLayer) {
             console.log("[Map - displayTrail] Removing custom KML layer");
@@ -138,18 +165,28 @@ async function displayTrail(trailId) {
         }
         return;
     }
+    else if (getTrailSegments(trailId).length > 0) {
+        // Multi-day trails are drawn day by day
+        await displayMultiDayTrail(getTrailById(trailId), requestId);
+    }
     else {
         // Load and display a single trail
         try {
             console.log(`[Map - displayTrail] Awaiting load for single trail: ${trailId}`);
             const layer = await loadTrail(trailId);
+            if (requestId !== trailDisplayRequestId) {
+                console.log(`[Map - displayTrail] A newer trail selection replaced ${trailId}. Skipping display.`);
+                return;
+            }
             if (layer) { // Check if layer loaded successfully
+                 layer.setStyle(DEFAULT_TRAIL_STYLE); // Reset any colour applied in compare mode
                  if (!map.hasLayer(layer)) {
                     console.log(`[Map - displayTrail] Adding layer for ${trailId} to map.`);
                     layer.addTo(map);
                  }
                 currentTrailLayer = layer; // Set as the current single layer
                 console.log(`[Map - displayTrail] Set currentTrailLayer for ${trailId}.`);
+                if (window.TrailPOIs) window.TrailPOIs.showPoisForTrails([trailId]);
                 // Zoom to the selected trail
                 try {
                     if (layer.getBounds && layer.getBounds().isValid()) {
@@ -177,6 +214,263 @@ async function displayTrail(trailId) {
     }
 }
 
+// Draw a multi-day trail with each day's KML in its own colour, "Day N" labels
+// and the overnight stop marked at the end of each day
+async function displayMultiDayTrail(trail, requestId) {
+    const segments = getTrailSegments(trail.id);
+    console.log(`[Map - displayMultiDayTrail] Displaying ${trail.id} as ${segments.length} day segments.`);
+
+    // The full trail KML carries the waypoints, so load it for its POIs and as a fallback
+    const [parentLayer, ...segmentLayers] = await Promise.all([loadTrail(trail.id), ...segments.map(segment => loadTrail(segment.id))]);
+    if (requestId !== trailDisplayRequestId) {
+        console.log(`[Map - displayMultiDayTrail] A newer trail selection replaced ${trail.id}. Skipping display.`);
+        return;
+    }
+
+    const group = L.featureGroup();
+    const dayEndStops = [];
+    const pois = window.TrailPOIs ? window.TrailPOIs.getPoisForTrail(trail.id) : [];
+    segments.forEach((segment, index) => {
+        const segmentLayer = segmentLayers[index];
+        if (!segmentLayer) {
+            console.warn(`[Map - displayMultiDayTrail] Day ${segment.day} (${segment.id}) could not be loaded.`);
+            return;
+        }
+        const color = DAY_SEGMENT_COLORS[(segment.day - 1) % DAY_SEGMENT_COLORS.length];
+        // Copy the cached geometry so the day styling and popups do not leak into single-trail views
+        const dayLayer = L.geoJSON(segmentLayer.toGeoJSON(), {
+            style: { color: color, weight: 5, opacity: 0.9 }
+        }).bindPopup(buildDaySegmentPopup(segment, color), { maxWidth: 320 });
+        dayLayer.addTo(group);
+
+        const lineLatLngs = getLayerLatLngs(dayLayer);
+        if (lineLatLngs.length === 0) return;
+        const midPoint = lineLatLngs[Math.floor(lineLatLngs.length / 2)];
+        L.marker(midPoint, {
+            icon: L.divIcon({
+                html: `<span style="background:${color};">Day ${segment.day}</span>`,
+                className: 'app-marker day-segment-label',
+                iconSize: [48, 20],
+                iconAnchor: [24, 10]
+            }),
+            interactive: false
+        }).addTo(group);
+
+        const endPoint = lineLatLngs[lineLatLngs.length - 1];
+        const isLastDay = index === segments.length - 1;
+        const stopName = isLastDay ? 'Finish' : (findNearestCampName(endPoint, pois) || 'Overnight stop');
+        dayEndStops.push({ name: stopName, day: segment.day, latLng: endPoint });
+        L.marker(endPoint, {
+            icon: L.divIcon({
+                html: isLastDay ? '🏁' : '🏕️',
+                className: 'app-marker overnight-stop-marker',
+                iconSize: [26, 26],
+                iconAnchor: [13, 13]
+            }),
+            title: stopName
+        }).bindPopup(`<b>${stopName}</b><br><small>End of Day ${segment.day}</small>`).addTo(group);
+    });
+
+    if (group.getLayers().length === 0) {
+        if (parentLayer) {
+            console.warn(`[Map - displayMultiDayTrail] No day segments loaded for ${trail.id}. Showing the full trail instead.`);
+            parentLayer.setStyle(DEFAULT_TRAIL_STYLE);
+            parentLayer.addTo(group);
+        } else {
+            console.error(`[Map - displayMultiDayTrail] Neither the day segments nor the full trail could be loaded for ${trail.id}.`);
+            alert(`Failed to load map data for ${trail.name}. Please check the KML file or network connection.`);
+            return;
+        }
+    }
+
+    group.addTo(map);
+    currentTrailLayer = group;
+    currentDayEndStops = dayEndStops;
+    if (window.TrailPOIs) window.TrailPOIs.showPoisForTrails([trail.id]);
+    if (group.getBounds().isValid()) {
+        map.fitBounds(group.getBounds());
+        setTimeout(() => { if (map) map.invalidateSize(); }, 100);
+    }
+}
+
+function buildDaySegmentPopup(segment, color) {
+    let html = `<b style="color:${color};">Day ${segment.day}</b> - ${segment.name}<br><small>Distance: ${segment.distance} km</small>`;
+    if (segment.elevationImage) {
+        html += `<br><img src="${segment.elevationImage}" alt="Day ${segment.day} elevation profile" class="day-segment-elevation">`;
+    }
+    return html;
+}
+
+// Name of the closest camp POI to a point, if one is within reach of the day's end
+function findNearestCampName(latLng, pois) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    pois.filter(poi => poi.category === 'camp').forEach(poi => {
+        const distance = L.latLng(poi.lat, poi.lng).distanceTo(latLng);
+        if (distance < nearestDistance) {
+            nearest = poi;
+            nearestDistance = distance;
+        }
+    });
+    return nearest && nearestDistance <= 500 ? nearest.name : null;
+}
+
+// Flatten the line vertices of a (GeoJSON) layer into a single array of LatLngs
+function getLayerLatLngs(layer) {
+    let latLngs = [];
+    const collect = (item) => {
+        if (item instanceof L.Polyline) {
+            latLngs = latLngs.concat(L.LineUtil.isFlat(item.getLatLngs()) ? item.getLatLngs() : item.getLatLngs().flat());
+        } else if (item.eachLayer) {
+            item.eachLayer(collect);
+        }
+    };
+    collect(layer);
+    return latLngs;
+}
+
+// Line geometry of the trail(s) currently on the map, one LatLng array per trail
+function getActiveTrailLines() {
+    if (trailCompareMode) {
+        return comparedTrailIds
+            .map(trailId => trailLayers[trailId] ? getLayerLatLngs(trailLayers[trailId]) : [])
+            .filter(latLngs => latLngs.length > 1);
+    }
+    if (!currentTrailLayer || !map.hasLayer(currentTrailLayer)) return [];
+    const latLngs = getLayerLatLngs(currentTrailLayer);
+    return latLngs.length > 1 ? [latLngs] : [];
+}
+
+// Overnight stops at the end of each day when a multi-day trail is on the map
+function getActiveTrailDayStops() {
+    return currentDayEndStops.slice();
+}
+
+// Overlay several trails at once, each in its own colour (compare mode)
+async function displayTrails(trailIds) {
+    const requestId = ++trailDisplayRequestId;
+    const ids = (trailIds || []).filter(id => id && id !== 'none');
+    console.log(`[Map - displayTrails] Displaying ${ids.length} trails for comparison: ${ids.join(', ')}`);
+    currentDayEndStops = [];
+
+    if (typeof clearCustomKmlLayers === 'function') {
+        clearCustomKmlLayers(false);
+    }
+    if (currentTrailLayer && map.hasLayer(currentTrailLayer)) map.removeLayer(currentTrailLayer);
+    currentTrailLayer = null;
+    Object.keys(trailLayers).forEach(key => {
+        if (map.hasLayer(trailLayers[key])) map.removeLayer(trailLayers[key]);
+    });
+
+    const layers = await Promise.all(ids.map(id => loadTrail(id)));
+    if (requestId !== trailDisplayRequestId) {
+        console.log("[Map - displayTrails] A newer trail selection replaced this comparison. Skipping display.");
+        return;
+    }
+
+    const legendEntries = [];
+    const failedNames = [];
+    layers.forEach((layer, index) => {
+        const trailId = ids[index];
+        if (!layer) {
+            failedNames.push(getTrailById(trailId)?.name || trailId);
+            return;
+        }
+        const color = COMPARE_TRAIL_COLORS[legendEntries.length % COMPARE_TRAIL_COLORS.length];
+        // Earlier trails are drawn wider so shared sections show as nested stripes
+        const weight = Math.max(3, 9 - legendEntries.length * 2);
+        layer.setStyle({ color: color, weight: weight, opacity: 0.9 });
+        if (!map.hasLayer(layer)) layer.addTo(map);
+        legendEntries.push({ trailId: trailId, color: color });
+    });
+    // Draw thinner lines on top of wider ones
+    legendEntries.slice(1).forEach(entry => trailLayers[entry.trailId].bringToFront());
+
+    comparedTrailIds = legendEntries.map(entry => entry.trailId);
+    if (window.TrailPOIs) window.TrailPOIs.showPoisForTrails(comparedTrailIds);
+    updateTrailCompareLegend(legendEntries);
+    fitComparedTrails();
+
+    if (failedNames.length > 0) {
+        console.error(`[Map - displayTrails] Failed to load: ${failedNames.join(', ')}`);
+        alert(`Failed to load map data for: ${failedNames.join(', ')}. Please check the KML file or network connection.`);
+    }
+}
+
+// Zoom the map so that every compared trail is visible
+function fitComparedTrails() {
+    let bounds = null;
+    comparedTrailIds.forEach(trailId => {
+        const layer = trailLayers[trailId];
+        if (!layer || !layer.getBounds || !layer.getBounds().isValid()) return;
+        bounds = bounds ? bounds.extend(layer.getBounds()) : L.latLngBounds(layer.getBounds().getSouthWest(), layer.getBounds().getNorthEast());
+    });
+    if (bounds && bounds.isValid()) {
+        console.log(`[Map - fitComparedTrails] Fitting bounds for ${comparedTrailIds.length} trails.`);
+        map.fitBounds(bounds, { padding: [20, 20] });
+        setTimeout(() => { if (map) map.invalidateSize(); }, 100);
+    }
+}
+
+function removeTrailCompareLegend() {
+    if (trailCompareLegend) {
+        map.removeControl(trailCompareLegend);
+        trailCompareLegend = null;
+    }
+}
+
+function updateTrailCompareLegend(entries) {
+    removeTrailCompareLegend();
+    if (!entries.length) return;
+
+    trailCompareLegend = L.control({ position: 'bottomleft' });
+    trailCompareLegend.onAdd = function() {
+        const container = L.DomUtil.create('div', 'trail-compare-legend');
+        L.DomEvent.disableClickPropagation(container);
+        entries.forEach(entry => {
+            const trail = getTrailById(entry.trailId);
+            const row = L.DomUtil.create('div', 'trail-compare-legend-row', container);
+            const swatch = L.DomUtil.create('span', 'trail-compare-swatch', row);
+            swatch.style.background = entry.color;
+            const label = L.DomUtil.create('span', '', row);
+            label.textContent = trail ? `${trail.name} (${trail.distance} km)` : entry.trailId;
+        });
+        const fitButton = L.DomUtil.create('button', 'trail-compare-fit-btn', container);
+        fitButton.type = 'button';
+        fitButton.textContent = 'Fit all trails';
+        L.DomEvent.on(fitButton, 'click', fitComparedTrails);
+        return container;
+    };
+    trailCompareLegend.addTo(map);
+}
+
+// Switch #trail-select between single choice and multi-select compare mode
+function setTrailCompareMode(enabled, refreshMap = true) {
+    trailCompareMode = !!enabled;
+    const trailSelect = document.getElementById('trail-select');
+    const compareToggle = document.getElementById('trail-compare-toggle');
+    if (compareToggle) compareToggle.checked = trailCompareMode;
+    if (!trailSelect) return;
+
+    const selectedIds = Array.from(trailSelect.selectedOptions).map(option => option.value).filter(id => id !== 'none');
+    trailSelect.multiple = trailCompareMode;
+    if (trailCompareMode) {
+        trailSelect.size = 6;
+    } else {
+        trailSelect.removeAttribute('size');
+        trailSelect.value = selectedIds[0] || 'none';
+    }
+    console.log(`[Map - setTrailCompareMode] Compare mode ${trailCompareMode ? 'enabled' : 'disabled'}.`);
+
+    if (!refreshMap) return;
+    if (trailCompareMode) {
+        Array.from(trailSelect.options).forEach(option => { option.selected = selectedIds.includes(option.value); });
+        displayTrails(selectedIds);
+    } else {
+        displayTrail(selectedIds[0] || 'none');
+    }
+}
+
 // Track user location
 function trackUserLocation() {
     console.log("[Map - trackUserLocation] Attempting to track location...");
@@ -205,6 +499,7 @@ function trackUserLocation() {
             console.log(`[Map - trackUserLocation] Location success: Lat ${lat}, Lon ${lon}, Accuracy ${accuracy}m`);
 
             const userLatLng = L.latLng(lat, lon);
+            if (typeof broadcastPosition === 'function') broadcastPosition(position, 'where-am-i');
 
 
             const heading = position.coords.heading;
@@ -396,21 +691,29 @@ function initMap() {
         // Populate trail select dropdown
         const trailSelect = document.getElementById('trail-select');
         if (trailSelect) {
-            const trails = getAllTrails();
-            // Clear existing options except the first 'No Trails' one
-            while (trailSelect.options.length > 1) {
-                trailSelect.remove(1);
-            }
-            trails.forEach(trail => {
-                const option = document.createElement('option');
-                option.value = trail.id;
-                option.textContent = trail.name;
-                trailSelect.appendChild(option);
+            trailsReady.then(trails => {
+                // Clear existing options except the first 'No Trails' one
+                while (trailSelect.options.length > 1) {
+                    trailSelect.remove(1);
+                }
+                trails.forEach(trail => {
+                    const option = document.createElement('option');
+                    option.value = trail.id;
+                    // Day segments follow their full trail, so show them as indented children
+                    option.textContent = trail.parentId ? `\u00A0\u00A0\u21B3 Day ${trail.day} (${trail.distance} km)` : trail.name;
+                    trailSelect.appendChild(option);
+                });
+                console.log("[Map - initMap] Trail select dropdown populated.");
             });
-            console.log("[Map - initMap] Trail select dropdown populated.");
 
             // Event listener for trail selection dropdown
             trailSelect.addEventListener('change', (event) => {
+                if (trailCompareMode) {
+                    const selectedTrailIds = Array.from(event.target.selectedOptions).map(option => option.value);
+                    console.log(`[Map - initMap] Trails selected for comparison: ${selectedTrailIds.join(', ')}`);
+                    displayTrails(selectedTrailIds);
+                    return;
+                }
                 const selectedTrailId = event.target.value;
                 console.log(`[Map - initMap] Trail selected via dropdown: ${selectedTrailId}`);
                 
@@ -436,6 +739,11 @@ function initMap() {
             console.error("[Map - initMap] Trail select dropdown element not found.");
         }
 
+        const compareToggle = document.getElementById('trail-compare-toggle');
+        if (compareToggle) {
+            compareToggle.addEventListener('change', (event) => setTrailCompareMode(event.target.checked));
+        }
+
         // Display 'none' trails initially (no trails shown)
         console.log("[Map - initMap] Scheduling initial display with 'none' (no trails).");
         setTimeout(() => displayTrail('none'), 100);
@@ -0,0 +1,242 @@
+// js/photo_import.js
+// Bulk import of photos taken with the phone's own camera app. EXIF GPS and DateTimeOriginal
+// are read locally from the JPEG; photos without GPS are placed by interpolating the position
+// on a recorded track at the time the photo was taken.
+
+(function() {
+    'use strict';
+
+    console.log("[PhotoImport] photo_import.js loaded.");
+
+    const EXIF_READ_BYTES = 256 * 1024; // The EXIF block sits in the first 64 KB of a JPEG; read a little more
+    const TRACK_TIME_TOLERANCE_MS = 5 * 60 * 1000; // Photos this close to either end of a track still belong to it
+
+    const TAG_EXIF_IFD = 0x8769;
+    const TAG_GPS_IFD = 0x8825;
+    const TAG_DATE_TIME = 0x0132; // When the file was last changed; used if DateTimeOriginal is missing
+    const TAG_DATE_TIME_ORIGINAL = 0x9003;
+    const TAG_OFFSET_TIME_ORIGINAL = 0x9011;
+    const GPS_LAT_REF = 1, GPS_LAT = 2, GPS_LNG_REF = 3, GPS_LNG = 4, GPS_ALT_REF = 5, GPS_ALT = 6, GPS_TIME = 7, GPS_DATE = 29;
+    const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+    let importInput, trackSelect, importStatusDiv;
+
+    function rational(numerator, denominator) {
+        return denominator === 0 ? null : numerator / denominator;
+    }
+
+    // Read the tags of one IFD into { tag: value }. Rationals become numbers, ASCII becomes strings.
+    // Rationals with a zero denominator are dropped rather than read as Infinity.
+    function readIfd(view, tiffStart, offset, littleEndian) {
+        const tags = {};
+        const count = view.getUint16(tiffStart + offset, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const entry = tiffStart + offset + 2 + i * 12;
+            const tag = view.getUint16(entry, littleEndian);
+            const type = view.getUint16(entry + 2, littleEndian);
+            const valueCount = view.getUint32(entry + 4, littleEndian);
+            const size = (TYPE_SIZES[type] || 1) * valueCount;
+            const valueOffset = size > 4 ? tiffStart + view.getUint32(entry + 8, littleEndian) : entry + 8;
+            if (type === 7 || valueOffset + size > view.byteLength) continue; // Opaque blobs such as MakerNote are not needed
+            const values = [];
+            for (let v = 0; v < valueCount; v++) {
+                const at = valueOffset + v * (TYPE_SIZES[type] || 1);
+                if (type === 3) values.push(view.getUint16(at, littleEndian));
+                else if (type === 4) values.push(view.getUint32(at, littleEndian));
+                else if (type === 9) values.push(view.getInt32(at, littleEndian));
+                else if (type === 5) values.push(rational(view.getUint32(at, littleEndian), view.getUint32(at + 4, littleEndian)));
+                else if (type === 10) values.push(rational(view.getInt32(at, littleEndian), view.getInt32(at + 4, littleEndian)));
+                else values.push(view.getUint8(at));
+            }
+            if (values.includes(null)) continue;
+            tags[tag] = type === 2 ? String.fromCharCode(...values).replace(/\0+$/, '') : (valueCount === 1 ? values[0] : values);
+        }
+        return tags;
+    }
+
+    // Parse the EXIF APP1 segment of a JPEG: returns { tags, exif, gps } or null
+    function readExif(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return null; // Not a JPEG
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // "Exif"
+                const tiffStart = offset + 10;
+                const littleEndian = view.getUint16(tiffStart) === 0x4949; // "II"
+                const ifd0 = readIfd(view, tiffStart, view.getUint32(tiffStart + 4, littleEndian), littleEndian);
+                return {
+                    tags: ifd0,
+                    exif: ifd0[TAG_EXIF_IFD] ? readIfd(view, tiffStart, ifd0[TAG_EXIF_IFD], littleEndian) : {},
+                    gps: ifd0[TAG_GPS_IFD] ? readIfd(view, tiffStart, ifd0[TAG_GPS_IFD], littleEndian) : {}
+                };
+            }
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // Start of image data, no EXIF
+            offset += 2 + length;
+        }
+        return null;
+    }
+
+    function dmsToDecimal(dms, ref) {
+        if (!Array.isArray(dms) || dms.length < 3 || dms.some(isNaN)) return null;
+        const decimal = dms[0] + dms[1] / 60 + dms[2] / 3600;
+        return ref === 'S' || ref === 'W' ? -decimal : decimal;
+    }
+
+    // Time the photo was taken. DateTimeOriginal has no time zone: use OffsetTimeOriginal when present,
+    // then the UTC GPS time stamp, and otherwise assume the phone's current time zone.
+    function photoTime(exif) {
+        const gps = exif.gps;
+        const original = exif.exif[TAG_DATE_TIME_ORIGINAL] || exif.tags[TAG_DATE_TIME];
+        const match = typeof original === 'string' && original.match(/^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/);
+        const offset = exif.exif[TAG_OFFSET_TIME_ORIGINAL];
+        if (match && typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset)) {
+            const ts = Date.parse(`${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}${offset}`);
+            if (!isNaN(ts)) return ts;
+        }
+        if (typeof gps[GPS_DATE] === 'string' && Array.isArray(gps[GPS_TIME])) {
+            const [year, month, day] = gps[GPS_DATE].split(':').map(Number);
+            const [hours, minutes, seconds] = gps[GPS_TIME];
+            const ts = Date.UTC(year, month - 1, day, hours, minutes, Math.floor(seconds));
+            if (!isNaN(ts)) return ts;
+        }
+        if (match) {
+            return new Date(+match[1], +match[2] - 1, +match[3], +match[4], +match[5], +match[6]).getTime();
+        }
+        return null;
+    }
+
+    function photoLocation(exif) {
+        const gps = exif.gps;
+        const lat = dmsToDecimal(gps[GPS_LAT], gps[GPS_LAT_REF]);
+        const lng = dmsToDecimal(gps[GPS_LNG], gps[GPS_LNG_REF]);
+        if (lat === null || lng === null || (lat === 0 && lng === 0)) return null;
+        const alt = typeof gps[GPS_ALT] === 'number' && !isNaN(gps[GPS_ALT]) ? (gps[GPS_ALT_REF] === 1 ? -gps[GPS_ALT] : gps[GPS_ALT]) : null;
+        return { lat: lat, lng: lng, alt: alt };
+    }
+
+    // Position on a timed track at a given time, interpolated between the two surrounding points
+    function interpolateTrackPosition(points, ts) {
+        const timed = points.filter(p => p.ts !== null && p.ts !== undefined);
+        if (timed.length === 0 || ts < timed[0].ts || ts > timed[timed.length - 1].ts) return null;
+        for (let i = 1; i < timed.length; i++) {
+            if (timed[i].ts >= ts) {
+                const from = timed[i - 1];
+                const to = timed[i];
+                const t = to.ts > from.ts ? (ts - from.ts) / (to.ts - from.ts) : 0;
+                const hasAlt = from.alt !== null && from.alt !== undefined && to.alt !== null && to.alt !== undefined;
+                return {
+                    lat: from.lat + (to.lat - from.lat) * t,
+                    lng: from.lng + (to.lng - from.lng) * t,
+                    alt: hasAlt ? from.alt + (to.alt - from.alt) * t : null
+                };
+            }
+        }
+        return { lat: timed[0].lat, lng: timed[0].lng, alt: timed[0].alt };
+    }
+
+    // The track the photo belongs to: the chosen one, or in auto mode the one recorded at the time
+    function findTrackForPhoto(tracks, ts, selectedTrackId) {
+        if (selectedTrackId !== 'auto') return tracks.find(track => track.id === selectedTrackId) || null;
+        if (ts === null) return null;
+        return tracks.find(track => track.startTime - TRACK_TIME_TOLERANCE_MS <= ts &&
+            ts <= (track.endTime || track.startTime) + TRACK_TIME_TOLERANCE_MS) || null;
+    }
+
+    // Clamp photos taken just before or after the track onto its ends
+    function positionOnTrack(track, ts) {
+        const points = track.points;
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (ts < first.ts && first.ts - ts <= TRACK_TIME_TOLERANCE_MS) return { lat: first.lat, lng: first.lng, alt: first.alt };
+        if (ts > last.ts && ts - last.ts <= TRACK_TIME_TOLERANCE_MS) return { lat: last.lat, lng: last.lng, alt: last.alt };
+        return interpolateTrackPosition(points, ts);
+    }
+
+    async function importPhotoFile(file, tracks, selectedTrackId) {
+        const buffer = await file.slice(0, EXIF_READ_BYTES).arrayBuffer();
+        let exif = null;
+        try {
+            exif = readExif(buffer);
+        } catch (error) {
+            // Offsets past the part read, or a truncated segment; the photo is still imported without EXIF
+            console.warn(`[PhotoImport - import] Could not read EXIF from ${file.name}:`, error);
+        }
+        const ts = exif ? photoTime(exif) : null;
+        let location = exif ? photoLocation(exif) : null;
+        let placedBy = location ? 'gps' : null;
+        const track = findTrackForPhoto(tracks, ts, selectedTrackId);
+        if (!location && track && ts !== null) {
+            location = positionOnTrack(track, ts);
+            if (location) placedBy = 'track';
+        }
+        const photo = await window.Photos.savePhoto(file, location, track ? { trackId: track.id } : null, ts || file.lastModified,
+            { fileName: file.name, placedBy: placedBy });
+        return { photo: photo, placedBy: placedBy, track: track };
+    }
+
+    async function handleImportChange(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0 || !window.Photos) return;
+        const selectedValue = trackSelect.value;
+        const selectedTrackId = selectedValue === 'auto' ? 'auto' : parseInt(selectedValue, 10);
+        const tracks = (await db.recorded_tracks.toArray()).filter(track => track.points && track.points.length > 0);
+        const counts = { gps: 0, track: 0, none: 0, failed: 0 };
+        for (const [index, file] of files.entries()) {
+            importStatusDiv.textContent = `Importing photo ${index + 1} of ${files.length}...`;
+            try {
+                const result = await importPhotoFile(file, tracks, selectedTrackId);
+                counts[result.placedBy || 'none']++;
+            } catch (error) {
+                console.error(`[PhotoImport - import] Error importing ${file.name}:`, error);
+                counts.failed++;
+            }
+        }
+        console.log(`[PhotoImport - import] Imported ${files.length} photo(s):`, counts);
+        importStatusDiv.textContent = `${counts.gps} placed from EXIF GPS, ${counts.track} placed from a track, ` +
+            `${counts.none} without a position${counts.failed ? `, ${counts.failed} could not be read` : ''}.`;
+        importInput.value = '';
+        if (window.gpsTracking) window.gpsTracking.loadAndDisplaySavedTracks();
+    }
+
+    // Called by the tracks list whenever it is rebuilt
+    function populateTrackSelect(tracks) {
+        if (!trackSelect) return;
+        const previous = trackSelect.value;
+        trackSelect.innerHTML = '<option value="auto">Match by photo time</option>';
+        tracks.filter(track => track.points && track.points.some(p => p.ts)).forEach(track => {
+            const option = document.createElement('option');
+            option.value = track.id;
+            option.textContent = `${track.name} (${new Date(track.startTime).toLocaleDateString()})`;
+            trackSelect.appendChild(option);
+        });
+        if (Array.from(trackSelect.options).some(option => option.value === previous)) trackSelect.value = previous;
+    }
+
+    function initPhotoImport() {
+        importInput = document.getElementById('photo-import-input');
+        trackSelect = document.getElementById('photo-import-track');
+        importStatusDiv = document.getElementById('photo-import-status');
+        if (!importInput || !trackSelect || !importStatusDiv) {
+            console.warn("[PhotoImport - init] Photo import elements not found.");
+            return;
+        }
+        importInput.addEventListener('change', handleImportChange);
+        console.log("[PhotoImport - init] Photo import initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPhotoImport);
+    } else {
+        initPhotoImport();
+    }
+
+    window.PhotoImport = {
+        readExif,
+        photoTime,
+        photoLocation,
+        interpolateTrackPosition,
+        populateTrackSelect
+    };
+})();
@@ -0,0 +1,235 @@
+// js/photos.js
+// Geotagged photos taken during a hike. Photos are stored as blobs in db.photos together with
+// the GPS fix and time they were taken, and are linked to a recorded track or a waypoint.
+// While recording, photos are linked to the recording in progress (trackId "current") and
+// moved to the saved track when the recording is stopped.
+
+(function() {
+    'use strict';
+
+    console.log("[Photos] photos.js loaded.");
+
+    const THUMBNAIL_SIZE = 160; // px, longest side
+    const MAX_FIX_AGE_MS = 2 * 60 * 1000; // A shared fix older than this is not trusted for a new photo
+
+    let captureInput;
+    let viewer;
+    let photoMarkersLayer = null;
+    let lastFix = null;
+    const objectUrls = new Map(); // "id:kind" -> object URL, kept for the session
+
+    function photoUrl(photo, kind) {
+        const key = `${photo.id}:${kind}`;
+        if (!objectUrls.has(key)) objectUrls.set(key, URL.createObjectURL(kind === 'thumbnail' ? photo.thumbnail : photo.blob));
+        return objectUrls.get(key);
+    }
+
+    function revokePhotoUrls(photoId) {
+        ['thumbnail', 'full'].forEach(kind => {
+            const key = `${photoId}:${kind}`;
+            if (objectUrls.has(key)) URL.revokeObjectURL(objectUrls.get(key));
+            objectUrls.delete(key);
+        });
+    }
+
+    function createThumbnail(blob) {
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = () => {
+                const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(image.width, image.height));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(thumbnail => thumbnail ? resolve(thumbnail) : reject(new Error('Could not create thumbnail.')), 'image/jpeg', 0.7);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('The file is not an image the browser can read.'));
+            };
+            image.src = url;
+        });
+    }
+
+    // The most recent fix from any watcher, or a fresh one if that is too old
+    function getCurrentFix() {
+        if (lastFix && Date.now() - lastFix.timestamp <= MAX_FIX_AGE_MS) return Promise.resolve(lastFix);
+        if (!navigator.geolocation) return Promise.resolve(null);
+        return new Promise(resolve => {
+            navigator.geolocation.getCurrentPosition(
+                position => resolve(position),
+                error => {
+                    console.warn("[Photos - fix] Could not get a position for the photo:", error.message);
+                    resolve(null);
+                },
+                { enableHighAccuracy: true, timeout: 15000, maximumAge: 30000 }
+            );
+        });
+    }
+
+    // Store a photo. location is { lat, lng, alt, acc } or null; link is { trackId } or { waypointId }.
+    // extra holds additional fields to store, e.g. the original file name of an imported photo.
+    async function savePhoto(blob, location, link, ts, extra) {
+        const photo = Object.assign({
+            blob: blob,
+            thumbnail: await createThumbnail(blob),
+            type: blob.type,
+            lat: location ? location.lat : null,
+            lng: location ? location.lng : null,
+            alt: location && location.alt !== undefined ? location.alt : null,
+            acc: location && location.acc !== undefined ? location.acc : null,
+            ts: ts || Date.now(),
+            trackId: link && link.trackId !== undefined ? link.trackId : null,
+            waypointId: link && link.waypointId !== undefined ? link.waypointId : null
+        }, extra);
+        photo.id = await db.photos.add(photo);
+        console.log(`[Photos - save] Photo ${photo.id} saved (track ${photo.trackId}, waypoint ${photo.waypointId}).`);
+        addPhotoMarker(photo);
+        return photo;
+    }
+
+    async function capturePhoto(file, link) {
+        const position = await getCurrentFix();
+        const location = position ? {
+            lat: position.coords.latitude,
+            lng: position.coords.longitude,
+            alt: position.coords.altitude,
+            acc: position.coords.accuracy
+        } : null;
+        // Photos taken while recording belong to the recording; otherwise they stand on their own
+        return savePhoto(file, location, link || (isRecording ? { trackId: ACTIVE_RECORDING_ID } : null));
+    }
+
+    async function handleCaptureChange(event) {
+        const files = Array.from(event.target.files || []);
+        for (const file of files) {
+            try {
+                const photo = await capturePhoto(file);
+                if (photo.lat === null) alert("Photo saved, but no GPS position was available so it is not shown on the map.");
+            } catch (error) {
+                console.error("[Photos - capture] Error saving photo:", error);
+                alert(`Error saving photo: ${error.message}`);
+            }
+        }
+        captureInput.value = '';
+        if (window.gpsTracking) window.gpsTracking.loadAndDisplaySavedTracks();
+    }
+
+    // Called when a recording is saved (trackId) or discarded (null)
+    function attachRecordingPhotos(trackId) {
+        return db.photos.where('trackId').equals(ACTIVE_RECORDING_ID).modify({ trackId: trackId });
+    }
+
+    function getPhotos(link) {
+        if (link.trackId !== undefined) return db.photos.where('trackId').equals(link.trackId).sortBy('ts');
+        return db.photos.where('waypointId').equals(link.waypointId).sortBy('ts');
+    }
+
+    async function deletePhoto(photoId) {
+        await db.photos.delete(photoId);
+        revokePhotoUrls(photoId);
+        if (photoMarkersLayer) {
+            photoMarkersLayer.eachLayer(marker => {
+                if (marker.options.photoId === photoId) photoMarkersLayer.removeLayer(marker);
+            });
+        }
+    }
+
+    async function deletePhotosFor(link) {
+        const photos = await getPhotos(link);
+        for (const photo of photos) await deletePhoto(photo.id);
+    }
+
+    function addPhotoMarker(photo) {
+        if (!photoMarkersLayer || photo.lat === null || photo.lng === null) return;
+        L.marker([photo.lat, photo.lng], {
+            icon: L.divIcon({
+                className: 'app-marker photo-marker',
+                html: `<img src="${photoUrl(photo, 'thumbnail')}" alt="">`,
+                iconSize: [40, 40],
+                iconAnchor: [20, 20]
+            }),
+            photoId: photo.id
+        }).on('click', () => openViewer(photo)).addTo(photoMarkersLayer);
+    }
+
+    async function loadPhotoMarkers() {
+        if (!photoMarkersLayer) return;
+        photoMarkersLayer.clearLayers();
+        const photos = await db.photos.toArray();
+        photos.forEach(addPhotoMarker);
+        console.log(`[Photos - markers] Showing ${photos.length} photo(s) on the map.`);
+    }
+
+    function openViewer(photo) {
+        if (!viewer) return;
+        viewer.querySelector('img').src = photoUrl(photo, 'full');
+        viewer.querySelector('.photo-viewer-caption').textContent =
+            `${new Date(photo.ts).toLocaleString()}${photo.lat !== null ? ` - ${photo.lat.toFixed(5)}, ${photo.lng.toFixed(5)}` : ' - no location'}`;
+        viewer.dataset.photoId = photo.id;
+        viewer.style.display = 'flex';
+    }
+
+    function closeViewer() {
+        if (!viewer) return;
+        viewer.style.display = 'none';
+        viewer.querySelector('img').removeAttribute('src');
+    }
+
+    // Fill a container with clickable thumbnails of the photos linked to a track or waypoint
+    async function renderPhotoStrip(container, link) {
+        const photos = await getPhotos(link);
+        container.innerHTML = '';
+        photos.forEach(photo => {
+            const img = document.createElement('img');
+            img.src = photoUrl(photo, 'thumbnail');
+            img.alt = `Photo taken ${new Date(photo.ts).toLocaleString()}`;
+            img.className = 'photo-strip-thumbnail';
+            img.addEventListener('click', () => openViewer(photo));
+            container.appendChild(img);
+        });
+        container.style.display = photos.length > 0 ? '' : 'none';
+    }
+
+    function initPhotos() {
+        captureInput = document.getElementById('photo-capture-input');
+        viewer = document.getElementById('photo-viewer');
+        if (captureInput) captureInput.addEventListener('change', handleCaptureChange);
+        if (viewer) {
+            viewer.querySelector('.photo-viewer-close').addEventListener('click', closeViewer);
+            viewer.querySelector('.photo-viewer-delete').addEventListener('click', async () => {
+                if (!confirm("Delete this photo?")) return;
+                await deletePhoto(parseInt(viewer.dataset.photoId, 10));
+                closeViewer();
+                if (window.gpsTracking) window.gpsTracking.loadAndDisplaySavedTracks();
+                if (typeof loadAndDisplaySavedWaypoints === 'function') loadAndDisplaySavedWaypoints();
+            });
+        }
+        window.addEventListener('gps-position', (event) => { lastFix = event.detail.position; });
+        if (typeof map !== 'undefined' && map) {
+            photoMarkersLayer = L.layerGroup().addTo(map);
+            loadPhotoMarkers();
+        }
+        console.log("[Photos - init] Photos initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPhotos);
+    } else {
+        initPhotos();
+    }
+
+    window.Photos = {
+        savePhoto,
+        capturePhoto,
+        attachRecordingPhotos,
+        getPhotos,
+        deletePhoto,
+        deletePhotosFor,
+        renderPhotoStrip,
+        openViewer,
+        reloadMarkers: loadPhotoMarkers
+    };
+})();
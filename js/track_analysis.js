@@ -0,0 +1,381 @@
+// js/track_analysis.js
+// Detail view for a recorded track: per-kilometre splits, speed and elevation charts,
+// moving vs stopped time and altitude range. Hovering a chart highlights the spot on the map.
+
+(function() {
+    'use strict';
+
+    console.log("[TrackAnalysis] track_analysis.js loaded.");
+
+    const SPLIT_DISTANCE = 1000; // metres
+    const SPEED_WINDOW_MS = 30 * 1000; // Speed is averaged over the preceding 30 s to hide GPS jitter
+    const CHART_PADDING = { top: 10, right: 10, bottom: 22, left: 40 };
+
+    let analysisPanel;
+    let analysisLayer = null;
+    let highlightMarker = null;
+    let currentTrack = null;
+    let currentAnalysis = null;
+
+    function hasAlt(point) {
+        return point.alt !== null && point.alt !== undefined && !isNaN(point.alt);
+    }
+
+    // Like smoothAltitudes, but aligned with the points (null where a point has no altitude)
+    function alignedSmoothedAltitudes(points) {
+        const withAlt = [];
+        points.forEach((p, i) => { if (hasAlt(p)) withAlt.push(i); });
+        const smoothed = smoothAltitudes(points);
+        const aligned = points.map(() => null);
+        withAlt.forEach((pointIndex, i) => { aligned[pointIndex] = smoothed[i]; });
+        return aligned;
+    }
+
+    function analyseTrack(track) {
+        const points = track.points;
+        const timed = points.every(p => p.ts !== null && p.ts !== undefined);
+        const altitudes = alignedSmoothedAltitudes(points);
+        const cumulative = [0];
+        for (let i = 1; i < points.length; i++) cumulative.push(cumulative[i - 1] + haversineDistance(points[i - 1], points[i]));
+
+        // Splits: interpolate the time at each kilometre boundary
+        const splits = [];
+        let splitStartIndex = 0;
+        let splitStartTime = timed ? points[0].ts : null;
+        let splitAscent = 0;
+        let splitDescent = 0;
+        // Same thresholded accumulation as calculateTrackStats, so the splits add up to the track's totals
+        let referenceAlt = altitudes.find(alt => alt !== null);
+        for (let i = 1; i < points.length; i++) {
+            if (altitudes[i] !== null) {
+                const change = altitudes[i] - referenceAlt;
+                if (change >= ELEVATION_CHANGE_THRESHOLD) {
+                    splitAscent += change;
+                    referenceAlt = altitudes[i];
+                } else if (change <= -ELEVATION_CHANGE_THRESHOLD) {
+                    splitDescent -= change;
+                    referenceAlt = altitudes[i];
+                }
+            }
+            while (cumulative[i] >= (splits.length + 1) * SPLIT_DISTANCE) {
+                const boundary = (splits.length + 1) * SPLIT_DISTANCE;
+                const legLength = cumulative[i] - cumulative[i - 1];
+                const fraction = legLength > 0 ? (boundary - cumulative[i - 1]) / legLength : 1;
+                const boundaryTime = timed ? points[i - 1].ts + (points[i].ts - points[i - 1].ts) * fraction : null;
+                splits.push({
+                    km: splits.length + 1,
+                    distance: SPLIT_DISTANCE,
+                    ms: timed ? boundaryTime - splitStartTime : null,
+                    ascent: splitAscent,
+                    descent: splitDescent,
+                    endIndex: i
+                });
+                splitStartIndex = i;
+                splitStartTime = boundaryTime;
+                splitAscent = 0;
+                splitDescent = 0;
+            }
+        }
+        const remainder = cumulative[cumulative.length - 1] - splits.length * SPLIT_DISTANCE;
+        if (remainder > 10 && splitStartIndex < points.length - 1) {
+            splits.push({
+                km: splits.length + 1,
+                distance: remainder,
+                ms: timed ? points[points.length - 1].ts - splitStartTime : null,
+                ascent: splitAscent,
+                descent: splitDescent,
+                endIndex: points.length - 1
+            });
+        }
+        splits.forEach(split => {
+            split.pace = split.ms && split.distance > 0 ? (split.ms / 1000) / (split.distance / 1000) : null;
+        });
+
+        // Speed over time, averaged over a trailing window
+        const speedSeries = [];
+        let maxSpeed = 0;
+        if (timed) {
+            let windowStart = 0;
+            for (let i = 1; i < points.length; i++) {
+                while (points[i].ts - points[windowStart].ts > SPEED_WINDOW_MS && windowStart < i - 1) windowStart++;
+                const ms = points[i].ts - points[windowStart].ts;
+                const speed = ms > 0 ? (cumulative[i] - cumulative[windowStart]) / (ms / 1000) : 0;
+                maxSpeed = Math.max(maxSpeed, speed);
+                speedSeries.push({ x: points[i].ts - points[0].ts, y: speed * 3.6, index: i });
+            }
+        }
+
+        const elevationSeries = [];
+        altitudes.forEach((alt, i) => {
+            if (alt !== null) elevationSeries.push({ x: cumulative[i], y: alt, index: i });
+        });
+
+        // Moving vs stopped: paused time comes from the recorder, stopped is the rest of the non-moving time
+        const stats = calculateTrackStats(points, timed ? points[0].ts : null, timed ? points[points.length - 1].ts : null);
+        const pausedMs = (track.pauses || []).reduce((sum, pause) => sum + Math.max(0, pause.end - pause.start), 0);
+        const elapsedMs = track.endTime && track.startTime ? track.endTime - track.startTime : stats.elapsedMs;
+
+        return {
+            timed: timed,
+            distance: cumulative[cumulative.length - 1],
+            splits: splits,
+            speedSeries: speedSeries,
+            elevationSeries: elevationSeries,
+            elapsedMs: elapsedMs,
+            movingMs: stats.movingMs,
+            pausedMs: pausedMs,
+            stoppedMs: Math.max(0, elapsedMs - stats.movingMs - pausedMs),
+            maxSpeed: maxSpeed * 3.6,
+            maxAlt: stats.maxAlt,
+            minAlt: stats.minAlt,
+            ascent: stats.ascent,
+            descent: stats.descent
+        };
+    }
+
+    // Minimal line chart on a canvas. The scales are kept on the canvas for hover lookups.
+    function drawChart(canvas, series, options, hoverIndex) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = '#666';
+
+        if (series.length < 2) {
+            ctx.fillText(options.emptyMessage, CHART_PADDING.left, height / 2);
+            canvas.chartScale = null;
+            return;
+        }
+
+        const xMin = series[0].x;
+        const xMax = series[series.length - 1].x;
+        let yMin = series.reduce((min, p) => Math.min(min, p.y), Infinity);
+        let yMax = series.reduce((max, p) => Math.max(max, p.y), -Infinity);
+        if (options.zeroBased) yMin = 0;
+        if (yMax - yMin < 1) yMax = yMin + 1;
+        const plotWidth = width - CHART_PADDING.left - CHART_PADDING.right;
+        const plotHeight = height - CHART_PADDING.top - CHART_PADDING.bottom;
+        const toX = x => CHART_PADDING.left + ((x - xMin) / (xMax - xMin || 1)) * plotWidth;
+        const toY = y => CHART_PADDING.top + (1 - (y - yMin) / (yMax - yMin)) * plotHeight;
+        canvas.chartScale = { xMin, xMax, plotWidth, series };
+
+        // Axes labels: y range on the left, x range along the bottom
+        ctx.textAlign = 'right';
+        ctx.fillText(options.formatY(yMax), CHART_PADDING.left - 4, CHART_PADDING.top + 8);
+        ctx.fillText(options.formatY(yMin), CHART_PADDING.left - 4, CHART_PADDING.top + plotHeight);
+        ctx.textAlign = 'left';
+        ctx.fillText(options.formatX(xMin), CHART_PADDING.left, height - 6);
+        ctx.textAlign = 'right';
+        ctx.fillText(options.formatX(xMax), width - CHART_PADDING.right, height - 6);
+
+        ctx.strokeStyle = '#ddd';
+        ctx.strokeRect(CHART_PADDING.left, CHART_PADDING.top, plotWidth, plotHeight);
+
+        ctx.beginPath();
+        series.forEach((p, i) => {
+            if (i === 0) ctx.moveTo(toX(p.x), toY(p.y));
+            else ctx.lineTo(toX(p.x), toY(p.y));
+        });
+        ctx.strokeStyle = options.color;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+
+        if (hoverIndex !== null && hoverIndex !== undefined) {
+            const p = series[hoverIndex];
+            ctx.strokeStyle = '#333';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            ctx.moveTo(toX(p.x), CHART_PADDING.top);
+            ctx.lineTo(toX(p.x), CHART_PADDING.top + plotHeight);
+            ctx.stroke();
+            ctx.fillStyle = options.color;
+            ctx.beginPath();
+            ctx.arc(toX(p.x), toY(p.y), 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#333';
+            ctx.textAlign = toX(p.x) > width / 2 ? 'right' : 'left';
+            ctx.fillText(`${options.formatY(p.y)} @ ${options.formatX(p.x)}`, toX(p.x) + (ctx.textAlign === 'right' ? -4 : 4), CHART_PADDING.top + 10);
+        }
+    }
+
+    // Series entry nearest to a pointer position over the chart
+    function seriesIndexAt(canvas, clientX) {
+        const scale = canvas.chartScale;
+        if (!scale) return null;
+        const rect = canvas.getBoundingClientRect();
+        const fraction = Math.min(1, Math.max(0, (clientX - rect.left - CHART_PADDING.left) / scale.plotWidth));
+        const x = scale.xMin + fraction * (scale.xMax - scale.xMin);
+        let low = 0;
+        let high = scale.series.length - 1;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if (scale.series[mid].x < x) low = mid + 1;
+            else high = mid;
+        }
+        if (low > 0 && x - scale.series[low - 1].x < scale.series[low].x - x) low--;
+        return low;
+    }
+
+    const CHARTS = {
+        speed: {
+            seriesKey: 'speedSeries',
+            color: '#1565C0',
+            zeroBased: true,
+            emptyMessage: 'No timestamps - speed not available',
+            formatX: x => formatDuration(x),
+            formatY: y => `${y.toFixed(1)} km/h`
+        },
+        elevation: {
+            seriesKey: 'elevationSeries',
+            color: '#2E7D32',
+            zeroBased: false,
+            emptyMessage: 'No altitude data',
+            formatX: x => `${(x / 1000).toFixed(1)} km`,
+            formatY: y => `${Math.round(y)} m`
+        }
+    };
+
+    function drawCharts(hoverChart, hoverIndex) {
+        if (!analysisPanel || !currentAnalysis) return;
+        Object.keys(CHARTS).forEach(name => {
+            const canvas = analysisPanel.querySelector(`canvas[data-chart="${name}"]`);
+            const chart = CHARTS[name];
+            drawChart(canvas, currentAnalysis[chart.seriesKey], chart, name === hoverChart ? hoverIndex : null);
+        });
+    }
+
+    function handleChartHover(event) {
+        const canvas = event.currentTarget;
+        const clientX = event.touches ? event.touches[0].clientX : event.clientX;
+        const index = seriesIndexAt(canvas, clientX);
+        if (index === null) return;
+        const chartName = canvas.dataset.chart;
+        const point = currentTrack.points[currentAnalysis[CHARTS[chartName].seriesKey][index].index];
+        drawCharts(chartName, index);
+        if (!highlightMarker) return;
+        highlightMarker.setLatLng([point.lat, point.lng]);
+        if (!analysisLayer.hasLayer(highlightMarker)) highlightMarker.addTo(analysisLayer);
+    }
+
+    function handleChartLeave() {
+        drawCharts(null, null);
+        if (highlightMarker && analysisLayer) analysisLayer.removeLayer(highlightMarker);
+    }
+
+    function renderAnalysis(track, analysis) {
+        const splitRows = analysis.splits.map(split => `
+            <tr>
+                <td>${split.distance < SPLIT_DISTANCE ? (split.km - 1 + split.distance / 1000).toFixed(2) : split.km}</td>
+                <td>${split.ms !== null ? formatDuration(split.ms) : '—'}</td>
+                <td>${formatPace(split.pace)}</td>
+                <td>+${Math.round(split.ascent)} / -${Math.round(split.descent)} m</td>
+            </tr>`).join('');
+        analysisPanel.innerHTML = `
+            <p><strong>${escapeXml(track.name)}</strong>
+                <button class="track-compare-close" title="Close analysis">✕</button></p>
+            <div class="trail-progress-grid">
+                <div><small>Distance</small><strong>${(analysis.distance / 1000).toFixed(2)} km</strong></div>
+                <div><small>Moving</small><strong>${analysis.timed ? formatDuration(analysis.movingMs) : '—'}</strong></div>
+                <div><small>Stopped</small><strong>${analysis.timed ? formatDuration(analysis.stoppedMs) : '—'}</strong></div>
+                <div><small>Paused</small><strong>${analysis.timed ? formatDuration(analysis.pausedMs) : '—'}</strong></div>
+                <div><small>Max speed</small><strong>${analysis.timed ? analysis.maxSpeed.toFixed(1) + ' km/h' : '—'}</strong></div>
+                <div><small>Max alt</small><strong>${analysis.maxAlt !== null ? Math.round(analysis.maxAlt) + ' m' : '—'}</strong></div>
+                <div><small>Min alt</small><strong>${analysis.minAlt !== null ? Math.round(analysis.minAlt) + ' m' : '—'}</strong></div>
+                <div><small>Ascent / descent</small><strong>+${Math.round(analysis.ascent)} / -${Math.round(analysis.descent)} m</strong></div>
+            </div>
+            ${analysis.timed && analysis.elapsedMs > 0 ? `<div class="track-analysis-breakdown" title="Moving / stopped / paused">
+                <div class="track-analysis-moving" style="width: ${(analysis.movingMs / analysis.elapsedMs * 100).toFixed(1)}%;"></div>
+                <div class="track-analysis-stopped" style="width: ${(analysis.stoppedMs / analysis.elapsedMs * 100).toFixed(1)}%;"></div>
+                <div class="track-analysis-paused" style="width: ${(analysis.pausedMs / analysis.elapsedMs * 100).toFixed(1)}%;"></div>
+            </div>` : ''}
+            <p><small>Speed</small></p>
+            <canvas class="track-analysis-chart" data-chart="speed"></canvas>
+            <p><small>Elevation</small></p>
+            <canvas class="track-analysis-chart" data-chart="elevation"></canvas>
+            <details class="track-analysis-splits">
+                <summary>Kilometre splits (${analysis.splits.length})</summary>
+                <table>
+                    <thead><tr><th>km</th><th>Time</th><th>Pace</th><th>Elevation</th></tr></thead>
+                    <tbody>${splitRows}</tbody>
+                </table>
+            </details>
+        `;
+        analysisPanel.querySelector('.track-compare-close').addEventListener('click', closeAnalysis);
+        analysisPanel.querySelectorAll('canvas.track-analysis-chart').forEach(canvas => {
+            canvas.addEventListener('mousemove', handleChartHover);
+            canvas.addEventListener('touchmove', handleChartHover, { passive: true });
+            canvas.addEventListener('mouseleave', handleChartLeave);
+            canvas.addEventListener('touchend', handleChartLeave);
+        });
+        analysisPanel.style.display = 'block';
+        drawCharts(null, null);
+    }
+
+    function handleResize() {
+        drawCharts(null, null);
+    }
+
+    async function openAnalysis(trackId) {
+        const track = await db.recorded_tracks.get(trackId);
+        if (!track || !track.points || track.points.length < 2) {
+            alert("This track has too few points to analyse.");
+            return;
+        }
+        closeAnalysis();
+        currentTrack = track;
+        currentAnalysis = analyseTrack(track);
+        console.log(`[TrackAnalysis - open] Track ${trackId}: ${currentAnalysis.splits.length} splits, ${currentAnalysis.speedSeries.length} speed samples.`);
+
+        if (typeof window.switchSection === 'function') window.switchSection('map');
+        if (typeof map !== 'undefined' && map) {
+            if (displayedSavedTrackLayer) {
+                map.removeLayer(displayedSavedTrackLayer);
+                displayedSavedTrackLayer = null;
+            }
+            analysisLayer = L.featureGroup().addTo(map);
+            L.polyline(track.points.map(p => [p.lat, p.lng]), { color: 'blue', weight: 4, opacity: 0.8 }).addTo(analysisLayer);
+            highlightMarker = L.circleMarker([track.points[0].lat, track.points[0].lng], {
+                radius: 7, color: '#fff', weight: 2, fillColor: '#f44336', fillOpacity: 1
+            });
+            map.fitBounds(analysisLayer.getBounds(), { padding: [20, 20] });
+        }
+        renderAnalysis(track, currentAnalysis);
+        window.addEventListener('resize', handleResize);
+    }
+
+    function closeAnalysis() {
+        if (analysisLayer && typeof map !== 'undefined' && map) map.removeLayer(analysisLayer);
+        analysisLayer = null;
+        highlightMarker = null;
+        currentTrack = null;
+        currentAnalysis = null;
+        window.removeEventListener('resize', handleResize);
+        if (analysisPanel) analysisPanel.style.display = 'none';
+    }
+
+    function initTrackAnalysis() {
+        analysisPanel = document.getElementById('track-analysis-panel');
+        if (!analysisPanel) {
+            console.warn("[TrackAnalysis - init] Track analysis panel not found.");
+            return;
+        }
+        console.log("[TrackAnalysis - init] Track analysis initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initTrackAnalysis);
+    } else {
+        initTrackAnalysis();
+    }
+
+    window.TrackAnalysis = {
+        analyseTrack,
+        open: openAnalysis,
+        close: closeAnalysis
+    };
+})();
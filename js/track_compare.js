@@ -0,0 +1,291 @@
+// js/track_compare.js
+// Compare a recorded track with an official trail: how much of the route was covered,
+// where the hiker left it and by how much, and whether the trail counts as completed.
+
+(function() {
+    'use strict';
+
+    console.log("[TrackCompare] track_compare.js loaded.");
+
+    const SAMPLE_SPACING = 20; // metres between the trail samples tested for coverage
+    const COVERAGE_TOLERANCE = 50; // metres - a trail sample this close to the track was walked
+    const DEVIATION_THRESHOLD = 50; // metres - track points further than this from the trail are off-route
+    const MIN_REPORTED_GAP = 100; // metres - shorter missed stretches or deviations are GPS noise
+    const COMPLETION_THRESHOLD = 90; // percent of the route that must be covered to count as completed
+    const GRID_CELL_DEGREES = 0.001; // ~110 m, larger than the tolerances so 3x3 cells always suffice
+
+    let comparePanel;
+    let compareLayer = null;
+
+    // Separate lines of a trail layer; unlike getLayerLatLngs the lines are not joined together
+    function getTrailLines(layer) {
+        const lines = [];
+        const collect = (item) => {
+            if (item instanceof L.Polyline) {
+                const latLngs = item.getLatLngs();
+                if (L.LineUtil.isFlat(latLngs)) lines.push(latLngs);
+                else latLngs.forEach(part => lines.push(part));
+            } else if (item.eachLayer) {
+                item.eachLayer(collect);
+            }
+        };
+        collect(layer);
+        // Some trail KMLs contain the same LineString twice, which would count the route double
+        const seen = new Set();
+        return lines
+            .filter(line => line.length > 1)
+            .map(line => line.map(ll => ({ lat: ll.lat, lng: ll.lng })))
+            .filter(line => {
+                const key = line.map(p => `${p.lat.toFixed(6)},${p.lng.toFixed(6)}`).join(' ');
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    // Points every SAMPLE_SPACING metres along a line, each with the length of route it stands for
+    function densifyLine(line) {
+        const samples = [{ lat: line[0].lat, lng: line[0].lng, length: 0 }];
+        for (let i = 1; i < line.length; i++) {
+            const from = line[i - 1];
+            const to = line[i];
+            const segmentLength = haversineDistance(from, to);
+            const steps = Math.max(1, Math.ceil(segmentLength / SAMPLE_SPACING));
+            for (let step = 1; step <= steps; step++) {
+                const t = step / steps;
+                samples.push({
+                    lat: from.lat + (to.lat - from.lat) * t,
+                    lng: from.lng + (to.lng - from.lng) * t,
+                    length: segmentLength / steps
+                });
+            }
+        }
+        return samples;
+    }
+
+    // Grid of line segments so "is anything within a tolerance" needs no full scan
+    function buildSegmentGrid(lines) {
+        const grid = new Map();
+        const cellKey = (row, col) => `${row}:${col}`;
+        lines.forEach(line => {
+            for (let i = 0; i < line.length - 1; i++) {
+                const a = line[i];
+                const b = line[i + 1];
+                const minRow = Math.floor(Math.min(a.lat, b.lat) / GRID_CELL_DEGREES);
+                const maxRow = Math.floor(Math.max(a.lat, b.lat) / GRID_CELL_DEGREES);
+                const minCol = Math.floor(Math.min(a.lng, b.lng) / GRID_CELL_DEGREES);
+                const maxCol = Math.floor(Math.max(a.lng, b.lng) / GRID_CELL_DEGREES);
+                for (let row = minRow; row <= maxRow; row++) {
+                    for (let col = minCol; col <= maxCol; col++) {
+                        const key = cellKey(row, col);
+                        if (!grid.has(key)) grid.set(key, []);
+                        grid.get(key).push([a, b]);
+                    }
+                }
+            }
+        });
+        return {
+            // Distance to the nearest segment in the surrounding cells, or null if none is near
+            nearbyDistance(point) {
+                const row = Math.floor(point.lat / GRID_CELL_DEGREES);
+                const col = Math.floor(point.lng / GRID_CELL_DEGREES);
+                let best = null;
+                for (let dRow = -1; dRow <= 1; dRow++) {
+                    for (let dCol = -1; dCol <= 1; dCol++) {
+                        (grid.get(cellKey(row + dRow, col + dCol)) || []).forEach(segment => {
+                            const snap = nearestPointOnPolyline(point, segment);
+                            if (best === null || snap.distance < best) best = snap.distance;
+                        });
+                    }
+                }
+                return best;
+            }
+        };
+    }
+
+    function distanceToLines(point, grid, lines) {
+        const nearby = grid.nearbyDistance(point);
+        if (nearby !== null) return nearby;
+        return lines.reduce((best, line) => Math.min(best, nearestPointOnPolyline(point, line).distance), Infinity);
+    }
+
+    // Group consecutive flagged items into runs: [{ start, end }] (inclusive indices)
+    function findRuns(flags) {
+        const runs = [];
+        let start = null;
+        flags.forEach((flag, index) => {
+            if (flag && start === null) start = index;
+            if (!flag && start !== null) {
+                runs.push({ start: start, end: index - 1 });
+                start = null;
+            }
+        });
+        if (start !== null) runs.push({ start: start, end: flags.length - 1 });
+        return runs;
+    }
+
+    function compareTrackToTrail(trackPoints, trailLines) {
+        const trackGrid = buildSegmentGrid([trackPoints]);
+        const trailGrid = buildSegmentGrid(trailLines);
+
+        // Coverage: which stretches of the official route had the track nearby
+        let totalLength = 0;
+        let coveredLength = 0;
+        const missedSections = [];
+        trailLines.forEach(line => {
+            const samples = densifyLine(line);
+            const uncovered = samples.map(sample => {
+                const distance = trackGrid.nearbyDistance(sample);
+                const covered = distance !== null && distance <= COVERAGE_TOLERANCE;
+                totalLength += sample.length;
+                if (covered) coveredLength += sample.length;
+                return !covered;
+            });
+            findRuns(uncovered).forEach(run => {
+                const section = samples.slice(Math.max(0, run.start - 1), run.end + 2);
+                const length = section.reduce((sum, sample, i) => sum + (i > 0 ? sample.length : 0), 0);
+                if (length >= MIN_REPORTED_GAP) missedSections.push({ latLngs: section, length: length });
+            });
+        });
+
+        // Deviations: where the track left the official route
+        const pointDistances = trackPoints.map(point => distanceToLines(point, trailGrid, trailLines));
+        const deviations = findRuns(pointDistances.map(distance => distance > DEVIATION_THRESHOLD))
+            .map(run => {
+                const points = trackPoints.slice(Math.max(0, run.start - 1), run.end + 2);
+                return {
+                    latLngs: points,
+                    length: calculateTotalDistance(points),
+                    maxDistance: pointDistances.slice(run.start, run.end + 1).reduce((max, distance) => Math.max(max, distance), 0),
+                    startTime: trackPoints[run.start].ts,
+                    endTime: trackPoints[run.end].ts
+                };
+            })
+            .filter(deviation => deviation.length >= MIN_REPORTED_GAP);
+
+        const coverage = totalLength > 0 ? (coveredLength / totalLength) * 100 : 0;
+        return {
+            trailLength: totalLength,
+            coveredLength: coveredLength,
+            coverage: coverage,
+            completed: coverage >= COMPLETION_THRESHOLD,
+            missedSections: missedSections,
+            deviations: deviations
+        };
+    }
+
+    function drawComparison(trackPoints, trailLines, result) {
+        clearComparison();
+        compareLayer = L.featureGroup();
+        trailLines.forEach(line => {
+            L.polyline(line, { color: '#2E7D32', weight: 7, opacity: 0.4 }).bindTooltip('Official trail').addTo(compareLayer);
+        });
+        L.polyline(trackPoints.map(p => [p.lat, p.lng]), { color: 'blue', weight: 3, opacity: 0.8 }).bindTooltip('Your track').addTo(compareLayer);
+        result.missedSections.forEach(section => {
+            L.polyline(section.latLngs, { color: '#FF9800', weight: 5, opacity: 0.9, dashArray: '8, 8' })
+                .bindPopup(`<strong>Not walked</strong><br>${(section.length / 1000).toFixed(2)} km of the trail`)
+                .addTo(compareLayer);
+        });
+        result.deviations.forEach((deviation, index) => {
+            const when = deviation.startTime ? `<br>${new Date(deviation.startTime).toLocaleTimeString()} - ${new Date(deviation.endTime).toLocaleTimeString()}` : '';
+            L.polyline(deviation.latLngs.map(p => [p.lat, p.lng]), { color: '#f44336', weight: 6, opacity: 0.9 })
+                .bindPopup(`<strong>Deviation ${index + 1}</strong><br>${Math.round(deviation.length)} m off the trail, up to ${Math.round(deviation.maxDistance)} m away${when}`)
+                .addTo(compareLayer);
+        });
+        compareLayer.addTo(map);
+        map.fitBounds(compareLayer.getBounds(), { padding: [20, 20] });
+    }
+
+    function renderReport(track, trail, result) {
+        if (!comparePanel) return;
+        const deviationItems = result.deviations.map((deviation, index) =>
+            `<li>Deviation ${index + 1}: ${Math.round(deviation.length)} m, up to ${Math.round(deviation.maxDistance)} m from the trail</li>`).join('');
+        comparePanel.innerHTML = `
+            <p><strong>${escapeXml(track.name)}</strong> vs <strong>${escapeXml(trail.name)}</strong>
+                <button class="track-compare-close" title="Close comparison">✕</button></p>
+            <div class="trail-progress-bar"><div style="width: ${Math.min(100, result.coverage).toFixed(1)}%;"></div></div>
+            <div class="trail-progress-grid">
+                <div><small>Covered</small><strong>${result.coverage.toFixed(0)}%</strong></div>
+                <div><small>Walked</small><strong>${(result.coveredLength / 1000).toFixed(2)} km</strong></div>
+                <div><small>Trail</small><strong>${(result.trailLength / 1000).toFixed(2)} km</strong></div>
+                <div><small>Status</small><strong class="${result.completed ? 'track-compare-completed' : 'track-compare-incomplete'}">${result.completed ? '✅ Completed' : 'Not completed'}</strong></div>
+            </div>
+            <p><small>${result.missedSections.length} stretch(es) of trail not walked (orange), ${result.deviations.length} deviation(s) (red).</small></p>
+            ${deviationItems ? `<ul class="track-compare-deviations">${deviationItems}</ul>` : ''}
+        `;
+        comparePanel.querySelector('.track-compare-close').addEventListener('click', clearComparison);
+        comparePanel.style.display = 'block';
+    }
+
+    function clearComparison() {
+        if (compareLayer && typeof map !== 'undefined' && map) map.removeLayer(compareLayer);
+        compareLayer = null;
+        if (comparePanel) comparePanel.style.display = 'none';
+    }
+
+    // Compare, show the result on the map and remember it on the track for the logbook
+    async function showComparison(trackId, trailId) {
+        const track = await db.recorded_tracks.get(trackId);
+        const trail = getTrailById(trailId);
+        if (!track || !track.points || track.points.length < 2 || !trail) {
+            alert("Could not load the track or trail to compare.");
+            return null;
+        }
+        try {
+            const trailLayer = await loadTrail(trailId);
+            const trailLines = getTrailLines(trailLayer);
+            if (trailLines.length === 0) throw new Error(`No line geometry for trail ${trailId}`);
+
+            const result = compareTrackToTrail(track.points, trailLines);
+            console.log(`[TrackCompare - show] Track ${trackId} vs ${trailId}: ${result.coverage.toFixed(1)}% covered, ${result.deviations.length} deviations.`);
+
+            const trailComparisons = Object.assign({}, track.trailComparisons);
+            trailComparisons[trailId] = { coverage: result.coverage, completed: result.completed, comparedAt: Date.now() };
+            await db.recorded_tracks.update(trackId, { trailComparisons: trailComparisons });
+
+            if (typeof window.switchSection === 'function') window.switchSection('map');
+            if (displayedSavedTrackLayer) {
+                map.removeLayer(displayedSavedTrackLayer);
+                displayedSavedTrackLayer = null;
+            }
+            drawComparison(track.points, trailLines, result);
+            renderReport(track, trail, result);
+            return result;
+        } catch (error) {
+            console.error("[TrackCompare - show] Error comparing track with trail:", error);
+            alert("Error comparing the track with the trail.");
+            return null;
+        }
+    }
+
+    function initTrackCompare() {
+        comparePanel = document.getElementById('track-compare-panel');
+        const trailSelect = document.getElementById('track-compare-trail');
+        if (!comparePanel || !trailSelect) {
+            console.warn("[TrackCompare - init] Track compare panel or trail select not found.");
+            return;
+        }
+        trailsReady.then(trails => {
+            trails.forEach(trail => {
+                const option = document.createElement('option');
+                option.value = trail.id;
+                option.textContent = trail.parentId ? `\u00A0\u00A0\u21B3 Day ${trail.day} (${trail.distance} km)` : trail.name;
+                trailSelect.appendChild(option);
+            });
+        });
+        console.log("[TrackCompare - init] Track compare initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initTrackCompare);
+    } else {
+        initTrackCompare();
+    }
+
+    window.TrackCompare = {
+        getTrailLines,
+        compareTrackToTrail,
+        showComparison,
+        clear: clearComparison
+    };
+})();
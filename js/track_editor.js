@@ -0,0 +1,363 @@
+// js/track_editor.js
+// Editor for recorded tracks: rename and notes, trim the ends with map handles, split,
+// delete outlier points, and merge consecutive tracks from the My Tracks list.
+
+(function() {
+    'use strict';
+
+    console.log("[TrackEditor] track_editor.js loaded.");
+
+    let editorPanel;
+    let editedTrack = null; // Working copy of the recorded_tracks entry
+    let trimStartIndex = 0;
+    let trimEndIndex = 0;
+    let splitMode = false;
+    let editorLayer = null; // L.featureGroup holding everything the editor draws
+    let keptLine, trimmedStartLine, trimmedEndLine, pointsLayer, pointRenderer, startHandle, endHandle;
+
+    function isTimed(points) {
+        return points.length > 0 && points.every(p => p.ts !== null && p.ts !== undefined);
+    }
+
+    // Index of the track point closest to a map position
+    function nearestPointIndex(latLng) {
+        const snap = nearestPointOnPolyline({ lat: latLng.lat, lng: latLng.lng }, editedTrack.points);
+        if (!snap) return 0;
+        return snap.fraction >= 0.5 ? snap.segmentIndex + 1 : snap.segmentIndex;
+    }
+
+    function pointLabel(point, index) {
+        const time = point.ts ? new Date(point.ts).toLocaleTimeString() : `point ${index + 1}`;
+        return `${time}${point.alt !== null && point.alt !== undefined ? `, ${Math.round(point.alt)} m` : ''}`;
+    }
+
+    // Points whose implied speed from both neighbours is above the recorder's spike limit
+    function findOutlierIndices(points) {
+        const maxSpeed = window.gpsTracking ? window.gpsTracking.getGpsFilterSettings().maxSpeed : 12;
+        const outliers = new Set();
+        for (let i = 1; i < points.length - 1; i++) {
+            const before = points[i - 1];
+            const after = points[i + 1];
+            if (!before.ts || !points[i].ts || !after.ts) continue;
+            const speedIn = haversineDistance(before, points[i]) / Math.max(1, (points[i].ts - before.ts) / 1000);
+            const speedOut = haversineDistance(points[i], after) / Math.max(1, (after.ts - points[i].ts) / 1000);
+            if (speedIn > maxSpeed && speedOut > maxSpeed) outliers.add(i);
+        }
+        return outliers;
+    }
+
+    function handleIcon(label, className) {
+        return L.divIcon({ className: `app-marker track-editor-handle ${className}`, html: label, iconSize: [26, 26], iconAnchor: [13, 13] });
+    }
+
+    function drawEditor() {
+        if (!editorLayer) return;
+        const latLngs = editedTrack.points.map(p => [p.lat, p.lng]);
+        keptLine.setLatLngs(latLngs.slice(trimStartIndex, trimEndIndex + 1));
+        trimmedStartLine.setLatLngs(latLngs.slice(0, trimStartIndex + 1));
+        trimmedEndLine.setLatLngs(latLngs.slice(trimEndIndex));
+        startHandle.setLatLng(latLngs[trimStartIndex]);
+        endHandle.setLatLng(latLngs[trimEndIndex]);
+
+        pointsLayer.clearLayers();
+        const outliers = findOutlierIndices(editedTrack.points);
+        editedTrack.points.forEach((point, index) => {
+            const isOutlier = outliers.has(index);
+            L.circleMarker([point.lat, point.lng], {
+                radius: isOutlier ? 6 : 3,
+                color: isOutlier ? '#f44336' : '#1565C0',
+                fillOpacity: 0.8,
+                weight: 1,
+                renderer: pointRenderer // Canvas keeps long tracks with thousands of points responsive
+            })
+                .bindTooltip(`${pointLabel(point, index)}${isOutlier ? ' (likely outlier)' : ''} - click to delete`)
+                .on('click', (e) => {
+                    L.DomEvent.stopPropagation(e);
+                    if (splitMode) splitAtIndex(index);
+                    else deletePoint(index);
+                })
+                .addTo(pointsLayer);
+        });
+        renderPanel();
+    }
+
+    function renderPanel() {
+        if (!editorPanel || !editedTrack) return;
+        const kept = editedTrack.points.slice(trimStartIndex, trimEndIndex + 1);
+        const distanceKm = (calculateTotalDistance(kept) / 1000).toFixed(2);
+        const duration = isTimed(kept) && kept.length > 1 ? formatDuration(kept[kept.length - 1].ts - kept[0].ts) : 'N/A';
+        const outlierCount = findOutlierIndices(editedTrack.points).size;
+        editorPanel.querySelector('.track-editor-summary').innerHTML =
+            `Keeping ${kept.length} of ${editedTrack.points.length} points &middot; ${distanceKm} km &middot; ${duration}` +
+            (outlierCount > 0 ? `<br><span class="track-editor-warning">${outlierCount} likely outlier point(s) shown in red</span>` : '');
+        editorPanel.querySelector('#track-editor-split-btn').textContent = splitMode ? 'Click the track to split...' : '✂️ Split';
+    }
+
+    function deletePoint(index) {
+        if (editedTrack.points.length <= 2) {
+            alert("A track needs at least two points.");
+            return;
+        }
+        if (!confirm(`Delete the point at ${pointLabel(editedTrack.points[index], index)}?`)) return;
+        editedTrack.points.splice(index, 1);
+        if (index < trimStartIndex) trimStartIndex--;
+        if (index <= trimEndIndex) trimEndIndex--;
+        trimEndIndex = Math.min(Math.max(trimEndIndex, trimStartIndex + 1), editedTrack.points.length - 1);
+        trimStartIndex = Math.min(trimStartIndex, trimEndIndex - 1);
+        console.log(`[TrackEditor - deletePoint] Deleted point ${index}.`);
+        drawEditor();
+    }
+
+    function onHandleDragEnd(isStart) {
+        const handle = isStart ? startHandle : endHandle;
+        const index = nearestPointIndex(handle.getLatLng());
+        if (isStart) trimStartIndex = Math.min(index, trimEndIndex - 1);
+        else trimEndIndex = Math.max(index, trimStartIndex + 1);
+        drawEditor();
+    }
+
+    function onMapClick(e) {
+        if (!splitMode || !editedTrack) return;
+        splitAtIndex(nearestPointIndex(e.latlng));
+    }
+
+    // Split mode ends with the first click, whether on the line near a point or on the point itself
+    function splitAtIndex(index) {
+        splitMode = false;
+        if (index <= trimStartIndex || index >= trimEndIndex) {
+            alert("Choose a split point inside the kept part of the track.");
+            renderPanel();
+            return;
+        }
+        if (confirm(`Split the track at ${pointLabel(editedTrack.points[index], index)}? Both parts are saved as separate tracks.`)) {
+            splitTrack(index);
+        } else {
+            renderPanel();
+        }
+    }
+
+    // Apply the name, notes and trim to the working copy
+    function buildEditedTrack() {
+        const track = Object.assign({}, editedTrack);
+        track.name = editorPanel.querySelector('#track-editor-name').value.trim() || editedTrack.name;
+        track.notes = editorPanel.querySelector('#track-editor-notes').value.trim();
+        track.points = editedTrack.points.slice(trimStartIndex, trimEndIndex + 1);
+        if (track.rawPoints && isTimed(track.points)) {
+            const first = track.points[0].ts;
+            const last = track.points[track.points.length - 1].ts;
+            track.rawPoints = track.rawPoints.filter(p => p.ts >= first && p.ts <= last);
+        }
+        return recomputeTrackSummary(track);
+    }
+
+    async function saveEdits() {
+        const track = buildEditedTrack();
+        try {
+            await db.recorded_tracks.put(track);
+            console.log(`[TrackEditor - save] Saved edits to track ID ${track.id}.`);
+            closeEditor();
+            window.gpsTracking.loadAndDisplaySavedTracks();
+        } catch (error) {
+            console.error("[TrackEditor - save] Error saving track:", error);
+            alert("Error saving the track.");
+        }
+    }
+
+    async function splitTrack(splitIndex) {
+        const track = buildEditedTrack();
+        const localIndex = splitIndex - trimStartIndex;
+        const firstPart = Object.assign({}, track, { points: track.points.slice(0, localIndex + 1) });
+        const secondPart = Object.assign({}, track, { points: track.points.slice(localIndex), name: `${track.name} (2)` });
+        delete secondPart.id;
+        if (track.rawPoints && isTimed(track.points)) {
+            const splitTime = track.points[localIndex].ts;
+            firstPart.rawPoints = track.rawPoints.filter(p => p.ts <= splitTime);
+            secondPart.rawPoints = track.rawPoints.filter(p => p.ts >= splitTime);
+        }
+        recomputeTrackSummary(firstPart);
+        recomputeTrackSummary(secondPart);
+        try {
+            await db.transaction('rw', db.recorded_tracks, db.photos, async () => {
+                await db.recorded_tracks.put(firstPart);
+                const secondId = await db.recorded_tracks.add(secondPart);
+                // Photos taken after the split point go with the second part
+                await db.photos.where('trackId').equals(track.id)
+                    .filter(photo => photo.ts >= secondPart.startTime).modify({ trackId: secondId });
+            });
+            console.log(`[TrackEditor - split] Split track ID ${track.id} at point ${splitIndex}.`);
+            closeEditor();
+            window.gpsTracking.loadAndDisplaySavedTracks();
+        } catch (error) {
+            console.error("[TrackEditor - split] Error splitting track:", error);
+            alert("Error splitting the track.");
+        }
+    }
+
+    async function openEditor(trackId) {
+        const track = await db.recorded_tracks.get(trackId);
+        if (!track || !track.points || track.points.length < 2) {
+            alert("This track cannot be edited.");
+            return;
+        }
+        if (typeof map === 'undefined' || !map) {
+            alert("The map is not ready yet.");
+            return;
+        }
+        closeEditor();
+        if (typeof window.switchSection === 'function') window.switchSection('map');
+        if (displayedSavedTrackLayer) {
+            map.removeLayer(displayedSavedTrackLayer);
+            displayedSavedTrackLayer = null;
+        }
+
+        editedTrack = Object.assign({}, track, { points: track.points.slice() });
+        trimStartIndex = 0;
+        trimEndIndex = editedTrack.points.length - 1;
+        splitMode = false;
+
+        editorLayer = L.featureGroup().addTo(map);
+        trimmedStartLine = L.polyline([], { color: '#999', weight: 4, opacity: 0.7, dashArray: '6, 6' }).addTo(editorLayer);
+        trimmedEndLine = L.polyline([], { color: '#999', weight: 4, opacity: 0.7, dashArray: '6, 6' }).addTo(editorLayer);
+        keptLine = L.polyline([], { color: 'blue', weight: 4, opacity: 0.8 }).addTo(editorLayer);
+        pointsLayer = L.featureGroup().addTo(editorLayer);
+        pointRenderer = L.canvas({ padding: 0.5 });
+        startHandle = L.marker([0, 0], { draggable: true, icon: handleIcon('S', 'track-editor-start'), zIndexOffset: 1000 })
+            .bindTooltip('Drag to trim the start').on('dragend', () => onHandleDragEnd(true)).addTo(editorLayer);
+        endHandle = L.marker([0, 0], { draggable: true, icon: handleIcon('E', 'track-editor-end'), zIndexOffset: 1000 })
+            .bindTooltip('Drag to trim the end').on('dragend', () => onHandleDragEnd(false)).addTo(editorLayer);
+        map.on('click', onMapClick);
+
+        editorPanel.querySelector('#track-editor-name').value = track.name || '';
+        editorPanel.querySelector('#track-editor-notes').value = track.notes || '';
+        editorPanel.style.display = 'block';
+        drawEditor();
+        map.fitBounds(keptLine.getBounds(), { padding: [30, 30] });
+        console.log(`[TrackEditor - open] Editing track ID ${trackId}.`);
+    }
+
+    function closeEditor() {
+        if (editorLayer && typeof map !== 'undefined' && map) {
+            map.removeLayer(editorLayer);
+            map.off('click', onMapClick);
+        }
+        editorLayer = null;
+        editedTrack = null;
+        splitMode = false;
+        if (editorPanel) editorPanel.style.display = 'none';
+    }
+
+    function trackStart(track) {
+        return track.startTime || track.points[0].ts || null;
+    }
+
+    function trackEnd(track) {
+        return track.endTime || track.points[track.points.length - 1].ts || null;
+    }
+
+    // Merge consecutive tracks into the earliest one; the gaps between them are kept as pauses.
+    // Tracks whose times overlap are refused, as their points would go back in time.
+    async function mergeTracks(trackIds) {
+        const tracks = (await db.recorded_tracks.bulkGet(trackIds)).filter(track => track && track.points);
+        if (tracks.length < 2) {
+            alert("Select at least two tracks to merge.");
+            return;
+        }
+        tracks.sort((a, b) => trackStart(a) - trackStart(b));
+        for (let i = 1; i < tracks.length; i++) {
+            const previousEnd = trackEnd(tracks[i - 1]);
+            const start = trackStart(tracks[i]);
+            if (previousEnd && start && start < previousEnd) {
+                alert(`Cannot merge "${tracks[i - 1].name}" and "${tracks[i].name}": their times overlap. Only tracks recorded one after the other can be merged.`);
+                return;
+            }
+        }
+        if (!confirm(`Merge ${tracks.length} tracks into "${tracks[0].name}"? The other tracks will be deleted.`)) return;
+
+        const merged = Object.assign({}, tracks[0], {
+            points: [],
+            rawPoints: tracks.some(track => track.rawPoints) ? [] : undefined,
+            pauses: [],
+            notes: tracks.map(track => track.notes).filter(Boolean).join('\n')
+        });
+        tracks.forEach((track, index) => {
+            if (index > 0) {
+                const previous = tracks[index - 1];
+                const gapStart = previous.endTime || previous.points[previous.points.length - 1].ts;
+                const gapEnd = track.points[0].ts || track.startTime;
+                if (gapStart && gapEnd && gapEnd > gapStart) merged.pauses.push({ start: gapStart, end: gapEnd, auto: false });
+            }
+            merged.points = merged.points.concat(track.points);
+            if (merged.rawPoints) merged.rawPoints = merged.rawPoints.concat(track.rawPoints || []);
+            merged.pauses = merged.pauses.concat(track.pauses || []);
+        });
+        merged.pauses.sort((a, b) => a.start - b.start);
+        merged.endTime = tracks[tracks.length - 1].endTime;
+        recomputeTrackSummary(merged);
+
+        try {
+            await db.transaction('rw', db.recorded_tracks, db.photos, async () => {
+                const mergedIds = tracks.slice(1).map(track => track.id);
+                await db.recorded_tracks.put(merged);
+                await db.recorded_tracks.bulkDelete(mergedIds);
+                await db.photos.where('trackId').anyOf(mergedIds).modify({ trackId: merged.id });
+            });
+            console.log(`[TrackEditor - merge] Merged tracks ${tracks.map(track => track.id).join(', ')} into ${merged.id}.`);
+            window.gpsTracking.loadAndDisplaySavedTracks();
+        } catch (error) {
+            console.error("[TrackEditor - merge] Error merging tracks:", error);
+            alert("Error merging the tracks.");
+        }
+    }
+
+    function initTrackEditor() {
+        editorPanel = document.getElementById('track-editor-panel');
+        if (!editorPanel) {
+            console.warn("[TrackEditor - init] Track editor panel not found.");
+            return;
+        }
+        editorPanel.innerHTML = `
+            <div class="track-editor-fields">
+                <label for="track-editor-name">Name</label>
+                <input type="text" id="track-editor-name">
+                <label for="track-editor-notes">Notes</label>
+                <textarea id="track-editor-notes" rows="2"></textarea>
+            </div>
+            <p class="track-editor-help"><small>Drag the S and E handles to trim. Click a point to delete it.</small></p>
+            <p class="track-editor-summary"></p>
+            <div class="track-editor-actions">
+                <button id="track-editor-split-btn">✂️ Split</button>
+                <button id="track-editor-save-btn">💾 Save</button>
+                <button id="track-editor-cancel-btn">Cancel</button>
+            </div>
+        `;
+        editorPanel.querySelector('#track-editor-split-btn').addEventListener('click', () => {
+            splitMode = !splitMode;
+            renderPanel();
+        });
+        editorPanel.querySelector('#track-editor-save-btn').addEventListener('click', saveEdits);
+        editorPanel.querySelector('#track-editor-cancel-btn').addEventListener('click', closeEditor);
+
+        const mergeButton = document.getElementById('merge-selected-tracks-btn');
+        if (mergeButton) {
+            mergeButton.addEventListener('click', () => {
+                const trackIds = Array.from(document.querySelectorAll('.track-select-checkbox:checked'))
+                    .map(checkbox => parseInt(checkbox.dataset.trackId))
+                    .filter(id => !isNaN(id));
+                mergeTracks(trackIds);
+            });
+        }
+        console.log("[TrackEditor - init] Track editor initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initTrackEditor);
+    } else {
+        initTrackEditor();
+    }
+
+    window.TrackEditor = {
+        open: openEditor,
+        close: closeEditor,
+        mergeTracks
+    };
+})();
@@ -0,0 +1,210 @@
+// js/track_export.js
+// Export recorded tracks as GPX, KML, GeoJSON, CSV or TCX. Several tracks can go into one file.
+
+(function() {
+    'use strict';
+
+    console.log("[TrackExport] track_export.js loaded.");
+
+    const KML_TRACK_COLORS = ['ff0000ff', 'ffff0000', 'ff00aa00', 'ff00a5ff', 'ff800080']; // aabbggrr
+
+    function hasTime(point) {
+        return point.ts !== null && point.ts !== undefined;
+    }
+
+    function isoTime(ts) {
+        return new Date(ts).toISOString();
+    }
+
+    function hasValue(value) {
+        return value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value));
+    }
+
+    // KML: one styled Placemark per track. Timed tracks use gx:Track so Google Earth can play them back.
+    function toKML(tracks) {
+        const documentName = tracks.length === 1 ? tracks[0].name : `${tracks.length} tracks`;
+        let kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <name>${escapeXml(documentName)}</name>
+`;
+        tracks.forEach((track, index) => {
+            kml += `    <Style id="track-style-${index}">
+      <LineStyle><color>${KML_TRACK_COLORS[index % KML_TRACK_COLORS.length]}</color><width>4</width></LineStyle>
+      <IconStyle><scale>0</scale></IconStyle>
+    </Style>
+`;
+        });
+        tracks.forEach((track, index) => {
+            const distanceKm = track.distance ? (track.distance / 1000).toFixed(2) : '0.00';
+            kml += `    <Placemark>
+      <name>${escapeXml(track.name)}</name>
+      <description>${escapeXml(`Distance: ${distanceKm} km, started ${new Date(track.startTime).toLocaleString()}`)}</description>
+      <styleUrl>#track-style-${index}</styleUrl>
+`;
+            if (track.points.every(hasTime)) {
+                kml += `      <gx:Track>
+        <altitudeMode>clampToGround</altitudeMode>
+`;
+                track.points.forEach(p => {
+                    kml += `        <when>${isoTime(p.ts)}</when>
+`;
+                });
+                track.points.forEach(p => {
+                    kml += `        <gx:coord>${p.lng} ${p.lat} ${hasValue(p.alt) ? p.alt : 0}</gx:coord>
+`;
+                });
+                kml += `      </gx:Track>
+`;
+            } else {
+                const coordinates = track.points.map(p => `${p.lng},${p.lat},${hasValue(p.alt) ? p.alt : 0}`).join(' ');
+                kml += `      <LineString>
+        <tessellate>1</tessellate>
+        <coordinates>${coordinates}</coordinates>
+      </LineString>
+`;
+            }
+            kml += `    </Placemark>
+`;
+        });
+        kml += `  </Document>
+</kml>`;
+        return kml;
+    }
+
+    // GeoJSON: one LineString feature per track, with per-point times in the toGeoJSON coordTimes convention
+    function tracksToGeoJSON(tracks) {
+        const features = tracks.map(track => {
+            const properties = {
+                name: track.name,
+                startTime: isoTime(track.startTime),
+                endTime: track.endTime ? isoTime(track.endTime) : null,
+                distance: track.distance || 0
+            };
+            if (track.stats) properties.stats = track.stats;
+            if (track.points.every(hasTime)) properties.coordTimes = track.points.map(p => isoTime(p.ts));
+            return {
+                type: 'Feature',
+                properties: properties,
+                geometry: {
+                    type: 'LineString',
+                    coordinates: track.points.map(p => hasValue(p.alt) ? [p.lng, p.lat, p.alt] : [p.lng, p.lat])
+                }
+            };
+        });
+        return JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2);
+    }
+
+    function csvField(value) {
+        if (!hasValue(value)) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // CSV: one row per point, with the raw GPS quality fields kept for analysis
+    function toCSV(tracks) {
+        const rows = ['track_name,point_index,timestamp,latitude,longitude,altitude_m,accuracy_m,speed_mps,heading_deg'];
+        tracks.forEach(track => {
+            track.points.forEach((p, index) => {
+                rows.push([
+                    track.name,
+                    index,
+                    hasTime(p) ? isoTime(p.ts) : '',
+                    p.lat,
+                    p.lng,
+                    p.alt,
+                    p.acc,
+                    p.spd,
+                    p.hdg
+                ].map(csvField).join(','));
+            });
+        });
+        return rows.join('\n') + '\n';
+    }
+
+    // TCX: one Activity per track with a single lap; points carry cumulative distance as TCX expects
+    function toTCX(tracks) {
+        let tcx = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">
+  <Activities>
+`;
+        tracks.forEach(track => {
+            const startTime = track.points.length > 0 && hasTime(track.points[0]) ? track.points[0].ts : track.startTime;
+            const endTime = track.endTime || startTime;
+            tcx += `    <Activity Sport="Other">
+      <Id>${isoTime(startTime)}</Id>
+      <Lap StartTime="${isoTime(startTime)}">
+        <TotalTimeSeconds>${Math.round((endTime - startTime) / 1000)}</TotalTimeSeconds>
+        <DistanceMeters>${(track.distance || 0).toFixed(1)}</DistanceMeters>
+        <Calories>0</Calories>
+        <Intensity>Active</Intensity>
+        <TriggerMethod>Manual</TriggerMethod>
+        <Track>
+`;
+            let cumulative = 0;
+            track.points.forEach((p, index) => {
+                if (index > 0) cumulative += haversineDistance(track.points[index - 1], p);
+                tcx += `          <Trackpoint>
+`;
+                if (hasTime(p)) tcx += `            <Time>${isoTime(p.ts)}</Time>
+`;
+                tcx += `            <Position><LatitudeDegrees>${p.lat}</LatitudeDegrees><LongitudeDegrees>${p.lng}</LongitudeDegrees></Position>
+`;
+                if (hasValue(p.alt)) tcx += `            <AltitudeMeters>${p.alt}</AltitudeMeters>
+`;
+                tcx += `            <DistanceMeters>${cumulative.toFixed(1)}</DistanceMeters>
+          </Trackpoint>
+`;
+            });
+            tcx += `        </Track>
+      </Lap>
+      <Notes>${escapeXml(track.name)}</Notes>
+    </Activity>
+`;
+        });
+        tcx += `  </Activities>
+</TrainingCenterDatabase>`;
+        return tcx;
+    }
+
+    const EXPORT_FORMATS = {
+        gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', convert: convertToGPX },
+        kml: { label: 'KML (Google Earth)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', convert: toKML },
+        geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', convert: tracksToGeoJSON },
+        csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', convert: toCSV },
+        // TCX requires a <Time> on every trackpoint, so tracks without times cannot be written
+        tcx: { label: 'TCX', extension: 'tcx', mimeType: 'application/vnd.garmin.tcx+xml', convert: toTCX, requiresTime: true }
+    };
+
+    function checkTracksForFormat(tracks, format) {
+        if (!format.requiresTime) return;
+        const untimed = tracks.filter(track => !track.points.every(hasTime));
+        if (untimed.length > 0) {
+            throw new Error(`${format.label} needs a time for every point. Tracks without times: ${untimed.map(track => `"${track.name}"`).join(', ')}. Choose GPX, KML, GeoJSON or CSV instead.`);
+        }
+    }
+
+    function convertTracks(tracks, formatId) {
+        const format = EXPORT_FORMATS[formatId];
+        if (!format) throw new Error(`Unknown export format: ${formatId}`);
+        checkTracksForFormat(tracks, format);
+        return format.convert(tracks);
+    }
+
+    // Convert and download; returns the file name used
+    function exportTracks(tracks, formatId) {
+        if (!tracks || tracks.length === 0) throw new Error('No tracks to export.');
+        const format = EXPORT_FORMATS[formatId] || EXPORT_FORMATS.gpx;
+        checkTracksForFormat(tracks, format);
+        const baseName = tracks.length === 1 ? tracks[0].name : `tracks_${new Date().toISOString().slice(0, 10)}`;
+        const filename = `${baseName.replace(/[^a-z0-9_\-]/gi, '_')}.${format.extension}`;
+        downloadFile(format.convert(tracks), filename, format.mimeType);
+        return filename;
+    }
+
+    window.TrackExport = {
+        formats: EXPORT_FORMATS,
+        convertTracks,
+        exportTracks
+    };
+})();
@@ -0,0 +1,226 @@
+// js/track_import.js
+// Import GPX, KML and GeoJSON tracks (e.g. from a GPS watch) into My Tracks.
+// Every format is converted to the recorder's { lat, lng, alt, ts } point schema and stored
+// in recorded_tracks, so imported tracks can be viewed and exported like recorded ones.
+
+(function() {
+    'use strict';
+
+    console.log("[TrackImport] track_import.js loaded.");
+
+    const SUPPORTED_EXTENSIONS = ['.gpx', '.kml', '.geojson', '.json'];
+
+    let importInput, importStatusDiv;
+
+    function readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    function parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not valid XML.');
+        }
+        return doc;
+    }
+
+    // Namespace-agnostic lookups, so "gx:Track" and GPX 1.0/1.1 documents all match
+    function elementsByName(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    function childText(parent, localName) {
+        const child = Array.from(parent.childNodes).find(node => node.nodeType === 1 && node.localName === localName);
+        return child ? child.textContent.trim() : null;
+    }
+
+    function makePoint(lat, lng, ele, time) {
+        const alt = ele !== null && ele !== undefined && ele !== '' ? parseFloat(ele) : null;
+        const ts = time ? Date.parse(time) : NaN;
+        return {
+            lat: parseFloat(lat),
+            lng: parseFloat(lng),
+            alt: alt !== null && !isNaN(alt) ? alt : null,
+            ts: isNaN(ts) ? null : ts
+        };
+    }
+
+    function isValidPoint(point) {
+        return !isNaN(point.lat) && !isNaN(point.lng) && Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180;
+    }
+
+    // GPX: one track per <trk> (all its <trkseg>s joined); routes are used when there are no tracks
+    function parseGpx(text) {
+        const doc = parseXml(text);
+        const tracks = elementsByName(doc, 'trk').map(trk => ({
+            name: childText(trk, 'name'),
+            points: elementsByName(trk, 'trkpt').map(pt =>
+                makePoint(pt.getAttribute('lat'), pt.getAttribute('lon'), childText(pt, 'ele'), childText(pt, 'time')))
+        }));
+        if (tracks.length > 0) return tracks;
+        return elementsByName(doc, 'rte').map(rte => ({
+            name: childText(rte, 'name'),
+            points: elementsByName(rte, 'rtept').map(pt =>
+                makePoint(pt.getAttribute('lat'), pt.getAttribute('lon'), childText(pt, 'ele'), childText(pt, 'time')))
+        }));
+    }
+
+    // KML: one track per Placemark with a gx:Track (timed) or LineString(s)
+    function parseKml(text) {
+        const doc = parseXml(text);
+        const tracks = [];
+        elementsByName(doc, 'Placemark').forEach(placemark => {
+            const points = [];
+            elementsByName(placemark, 'Track').forEach(track => {
+                const whens = elementsByName(track, 'when').map(el => el.textContent.trim());
+                elementsByName(track, 'coord').forEach((coord, i) => {
+                    const [lng, lat, ele] = coord.textContent.trim().split(/\s+/);
+                    points.push(makePoint(lat, lng, ele, whens[i]));
+                });
+            });
+            if (points.length === 0) {
+                elementsByName(placemark, 'LineString').forEach(lineString => {
+                    const coordinates = elementsByName(lineString, 'coordinates')[0];
+                    if (!coordinates) return;
+                    coordinates.textContent.trim().split(/\s+/).forEach(tuple => {
+                        const [lng, lat, ele] = tuple.split(',');
+                        points.push(makePoint(lat, lng, ele, null));
+                    });
+                });
+            }
+            if (points.length > 0) tracks.push({ name: childText(placemark, 'name'), points: points });
+        });
+        return tracks;
+    }
+
+    // GeoJSON: one track per LineString/MultiLineString feature. Times are read from the
+    // coordTimes / coordinateProperties.times properties written by toGeoJSON and most exporters.
+    function parseGeoJson(text) {
+        const geojson = JSON.parse(text);
+        const features = geojson.type === 'FeatureCollection' ? geojson.features
+            : geojson.type === 'Feature' ? [geojson]
+            : [{ type: 'Feature', properties: {}, geometry: geojson }];
+        const tracks = [];
+        (features || []).forEach(feature => {
+            const geometry = feature && feature.geometry;
+            if (!geometry) return;
+            const props = feature.properties || {};
+            const times = props.coordTimes || (props.coordinateProperties && props.coordinateProperties.times) || null;
+            let lines;
+            let lineTimes;
+            if (geometry.type === 'LineString') {
+                lines = [geometry.coordinates];
+                lineTimes = [times];
+            } else if (geometry.type === 'MultiLineString') {
+                lines = geometry.coordinates;
+                lineTimes = Array.isArray(times) && Array.isArray(times[0]) ? times : [];
+            } else {
+                return;
+            }
+            const points = [];
+            lines.forEach((line, lineIndex) => {
+                const timesForLine = lineTimes[lineIndex] || [];
+                line.forEach(([lng, lat, ele], i) => points.push(makePoint(lat, lng, ele, timesForLine[i])));
+            });
+            tracks.push({ name: props.name || null, points: points });
+        });
+        return tracks;
+    }
+
+    // Parse a file's text into [{ name, points }] based on its extension
+    function parseTrackFile(fileName, text) {
+        const extension = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+        let tracks;
+        if (extension === '.gpx') tracks = parseGpx(text);
+        else if (extension === '.kml') tracks = parseKml(text);
+        else if (extension === '.geojson' || extension === '.json') tracks = parseGeoJson(text);
+        else throw new Error(`Unsupported file type "${extension}".`);
+
+        return tracks
+            .map(track => ({ name: track.name, points: track.points.filter(isValidPoint) }))
+            .filter(track => track.points.length > 1);
+    }
+
+    function buildTrackRecord(track, fileName, index, count) {
+        const points = track.points;
+        const timed = points[0].ts !== null && points[points.length - 1].ts !== null;
+        const baseName = fileName.replace(/\.[^.]+$/, '');
+        const startTime = timed ? points[0].ts : Date.now();
+        const endTime = timed ? points[points.length - 1].ts : null;
+        return {
+            name: track.name || (count > 1 ? `${baseName} (${index + 1})` : baseName),
+            startTime: startTime,
+            endTime: endTime,
+            points: points,
+            distance: calculateTotalDistance(points),
+            stats: calculateTrackStats(points, startTime, endTime),
+            source: 'import',
+            importedFrom: fileName,
+            importedAt: Date.now()
+        };
+    }
+
+    async function importTrackFile(file) {
+        const text = await readFileAsText(file);
+        const tracks = parseTrackFile(file.name, text);
+        if (tracks.length === 0) {
+            throw new Error('No tracks with at least two points were found.');
+        }
+        const records = tracks.map((track, i) => buildTrackRecord(track, file.name, i, tracks.length));
+        const ids = await db.recorded_tracks.bulkAdd(records, { allKeys: true });
+        console.log(`[TrackImport - import] Imported ${records.length} track(s) from ${file.name}: IDs ${ids.join(', ')}`);
+        return records;
+    }
+
+    async function handleImportChange(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+        const messages = [];
+        for (const file of files) {
+            const lowerName = file.name.toLowerCase();
+            if (!SUPPORTED_EXTENSIONS.some(ext => lowerName.endsWith(ext))) {
+                messages.push(`${file.name}: unsupported file type (use GPX, KML or GeoJSON).`);
+                continue;
+            }
+            importStatusDiv.textContent = `Importing ${file.name}...`;
+            try {
+                const records = await importTrackFile(file);
+                const points = records.reduce((sum, record) => sum + record.points.length, 0);
+                messages.push(`${file.name}: imported ${records.length} track(s), ${points} points.`);
+            } catch (error) {
+                console.error(`[TrackImport - import] Error importing ${file.name}:`, error);
+                messages.push(`${file.name}: ${error.message}`);
+            }
+        }
+        importStatusDiv.innerHTML = messages.map(message => escapeXml(message)).join('<br>');
+        importInput.value = '';
+        if (window.gpsTracking) window.gpsTracking.loadAndDisplaySavedTracks();
+    }
+
+    function initTrackImport() {
+        importInput = document.getElementById('track-import-input');
+        importStatusDiv = document.getElementById('track-import-status');
+        if (!importInput || !importStatusDiv) {
+            console.warn("[TrackImport - init] Track import input or status element not found.");
+            return;
+        }
+        importInput.addEventListener('change', handleImportChange);
+        console.log("[TrackImport - init] Track import initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initTrackImport);
+    } else {
+        initTrackImport();
+    }
+
+    window.TrackImport = {
+        parseTrackFile,
+        importTrackFile
+    };
+})();
@@ -0,0 +1,224 @@
+// js/track_replay.js
+// Animated replay of a recorded track: a marker moves along the track in (sped-up) real time
+// using the stored timestamps, with play/pause, speed and scrub controls.
+
+(function() {
+    'use strict';
+
+    console.log("[TrackReplay] track_replay.js loaded.");
+
+    const ESTIMATED_WALKING_SPEED = 4 / 3.6; // m/s - used to invent timestamps for untimed (imported) tracks
+    const FOLLOW_MARGIN = -0.25; // Pan once the marker leaves the middle half of the map
+
+    let replayPanel;
+    let replayTrack = null; // { name, points, cumulative, startTs, endTs, pauses, estimated }
+    let replayLayer = null;
+    let replayMarker = null;
+    let playedLine = null;
+    let replayTime = 0; // ms since the first point
+    let speed = 10;
+    let playing = false;
+    let followMarker = true;
+    let lastFrame = null;
+    let animationFrameId = null;
+    let playButton, speedInput, speedLabel, scrubInput, infoDiv, followInput;
+
+    function prepareTrack(track) {
+        let points = track.points.filter(p => p.lat !== undefined && p.lng !== undefined);
+        let estimated = false;
+        if (!points.every(p => p.ts !== null && p.ts !== undefined)) {
+            // No timestamps: pretend the track was walked at a steady pace
+            estimated = true;
+            let ts = track.startTime || Date.now();
+            points = points.map((p, i) => {
+                if (i > 0) ts += (haversineDistance(points[i - 1], p) / ESTIMATED_WALKING_SPEED) * 1000;
+                return Object.assign({}, p, { ts: ts });
+            });
+        }
+        const cumulative = [0];
+        for (let i = 1; i < points.length; i++) cumulative.push(cumulative[i - 1] + haversineDistance(points[i - 1], points[i]));
+        return {
+            name: track.name,
+            points: points,
+            cumulative: cumulative,
+            startTs: points[0].ts,
+            endTs: points[points.length - 1].ts,
+            pauses: estimated ? [] : (track.pauses || []),
+            estimated: estimated
+        };
+    }
+
+    // Interpolated state at a replay time: position, distance so far, altitude and the point index
+    function stateAt(time) {
+        const points = replayTrack.points;
+        const ts = replayTrack.startTs + time;
+        let low = 0;
+        let high = points.length - 1;
+        while (low < high) {
+            const mid = Math.ceil((low + high) / 2);
+            if (points[mid].ts <= ts) low = mid;
+            else high = mid - 1;
+        }
+        const from = points[low];
+        const to = points[Math.min(low + 1, points.length - 1)];
+        const span = to.ts - from.ts;
+        const t = span > 0 ? Math.min(1, Math.max(0, (ts - from.ts) / span)) : 0;
+        const segmentLength = replayTrack.cumulative[Math.min(low + 1, points.length - 1)] - replayTrack.cumulative[low];
+        const hasAlt = from.alt !== null && from.alt !== undefined && to.alt !== null && to.alt !== undefined;
+        return {
+            index: low,
+            lat: from.lat + (to.lat - from.lat) * t,
+            lng: from.lng + (to.lng - from.lng) * t,
+            distance: replayTrack.cumulative[low] + segmentLength * t,
+            alt: hasAlt ? from.alt + (to.alt - from.alt) * t : (from.alt !== undefined ? from.alt : null),
+            ts: ts
+        };
+    }
+
+    function render() {
+        const state = stateAt(replayTime);
+        const latLng = [state.lat, state.lng];
+        replayMarker.setLatLng(latLng);
+        playedLine.setLatLngs(replayTrack.points.slice(0, state.index + 1).map(p => [p.lat, p.lng]).concat([latLng]));
+        if (followMarker && !map.getBounds().pad(FOLLOW_MARGIN).contains(latLng)) {
+            map.panTo(latLng, { animate: false });
+        }
+        scrubInput.value = Math.round(replayTime / 1000);
+        infoDiv.innerHTML = `
+            <div><small>Time</small><strong>${new Date(state.ts).toLocaleTimeString()}${replayTrack.estimated ? '*' : ''}</strong></div>
+            <div><small>Elapsed</small><strong>${formatDuration(replayTime)}</strong></div>
+            <div><small>Distance</small><strong>${(state.distance / 1000).toFixed(2)} km</strong></div>
+            <div><small>Altitude</small><strong>${state.alt !== null ? Math.round(state.alt) + ' m' : '—'}</strong></div>
+        `;
+    }
+
+    function tick(now) {
+        if (!playing) return;
+        if (lastFrame !== null) {
+            replayTime += (now - lastFrame) * speed;
+            // Skip over recorded pauses rather than showing a motionless marker
+            const ts = replayTrack.startTs + replayTime;
+            const pause = replayTrack.pauses.find(p => ts >= p.start && ts < p.end);
+            if (pause) replayTime = pause.end - replayTrack.startTs;
+        }
+        lastFrame = now;
+        const duration = replayTrack.endTs - replayTrack.startTs;
+        if (replayTime >= duration) {
+            replayTime = duration;
+            render();
+            setPlaying(false);
+            return;
+        }
+        render();
+        animationFrameId = requestAnimationFrame(tick);
+    }
+
+    function setPlaying(shouldPlay) {
+        playing = shouldPlay;
+        lastFrame = null;
+        if (animationFrameId !== null) cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+        if (playing) {
+            if (replayTime >= replayTrack.endTs - replayTrack.startTs) replayTime = 0; // Play again from the start
+            animationFrameId = requestAnimationFrame(tick);
+        }
+        playButton.textContent = playing ? '⏸ Pause' : '▶ Play';
+    }
+
+    async function openReplay(trackId) {
+        const track = await db.recorded_tracks.get(trackId);
+        if (!track || !track.points || track.points.length < 2) {
+            alert("This track cannot be replayed.");
+            return;
+        }
+        if (typeof map === 'undefined' || !map) {
+            alert("The map is not ready yet.");
+            return;
+        }
+        closeReplay();
+        replayTrack = prepareTrack(track);
+        if (typeof window.switchSection === 'function') window.switchSection('map');
+        if (displayedSavedTrackLayer) {
+            map.removeLayer(displayedSavedTrackLayer);
+            displayedSavedTrackLayer = null;
+        }
+
+        replayLayer = L.featureGroup().addTo(map);
+        L.polyline(replayTrack.points.map(p => [p.lat, p.lng]), { color: '#999', weight: 4, opacity: 0.6 }).addTo(replayLayer);
+        playedLine = L.polyline([], { color: 'blue', weight: 4, opacity: 0.9 }).addTo(replayLayer);
+        replayMarker = L.marker([replayTrack.points[0].lat, replayTrack.points[0].lng], {
+            icon: L.divIcon({ className: 'app-marker track-replay-marker', html: '🥾', iconSize: [28, 28], iconAnchor: [14, 14] }),
+            zIndexOffset: 1000
+        }).addTo(replayLayer);
+        map.fitBounds(replayLayer.getBounds(), { padding: [20, 20] });
+
+        replayTime = 0;
+        scrubInput.max = Math.ceil((replayTrack.endTs - replayTrack.startTs) / 1000);
+        replayPanel.querySelector('.track-replay-title').textContent =
+            `${replayTrack.name}${replayTrack.estimated ? ' (* no timestamps - times estimated at 4 km/h)' : ''}`;
+        replayPanel.style.display = 'block';
+        render();
+        console.log(`[TrackReplay - open] Replaying track ID ${trackId}.`);
+    }
+
+    function closeReplay() {
+        if (replayTrack) setPlaying(false);
+        if (replayLayer && typeof map !== 'undefined' && map) map.removeLayer(replayLayer);
+        replayLayer = null;
+        replayTrack = null;
+        if (replayPanel) replayPanel.style.display = 'none';
+    }
+
+    function initTrackReplay() {
+        replayPanel = document.getElementById('track-replay-panel');
+        if (!replayPanel) {
+            console.warn("[TrackReplay - init] Track replay panel not found.");
+            return;
+        }
+        replayPanel.innerHTML = `
+            <p><strong class="track-replay-title"></strong>
+                <button class="track-compare-close" id="track-replay-close" title="Close replay">✕</button></p>
+            <div class="track-replay-controls">
+                <button id="track-replay-play">▶ Play</button>
+                <label for="track-replay-speed">Speed</label>
+                <input type="range" id="track-replay-speed" min="1" max="60" step="1" value="${speed}">
+                <span id="track-replay-speed-label">${speed}x</span>
+                <label><input type="checkbox" id="track-replay-follow" checked> Follow</label>
+            </div>
+            <input type="range" id="track-replay-scrub" class="track-replay-scrub" min="0" max="0" step="1" value="0" aria-label="Replay position">
+            <div class="trail-progress-grid track-replay-info"></div>
+        `;
+        playButton = replayPanel.querySelector('#track-replay-play');
+        speedInput = replayPanel.querySelector('#track-replay-speed');
+        speedLabel = replayPanel.querySelector('#track-replay-speed-label');
+        scrubInput = replayPanel.querySelector('#track-replay-scrub');
+        infoDiv = replayPanel.querySelector('.track-replay-info');
+        followInput = replayPanel.querySelector('#track-replay-follow');
+
+        playButton.addEventListener('click', () => setPlaying(!playing));
+        speedInput.addEventListener('input', () => {
+            speed = parseInt(speedInput.value, 10) || 1;
+            speedLabel.textContent = `${speed}x`;
+        });
+        scrubInput.addEventListener('input', () => {
+            if (!replayTrack) return;
+            replayTime = parseInt(scrubInput.value, 10) * 1000;
+            lastFrame = null;
+            render();
+        });
+        followInput.addEventListener('change', () => { followMarker = followInput.checked; });
+        replayPanel.querySelector('#track-replay-close').addEventListener('click', closeReplay);
+        console.log("[TrackReplay - init] Track replay initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initTrackReplay);
+    } else {
+        initTrackReplay();
+    }
+
+    window.TrackReplay = {
+        open: openReplay,
+        close: closeReplay
+    };
+})();
@@ -82,6 +82,7 @@
         // Start watching position for continuous heading updates
         watchId = navigator.geolocation.watchPosition(
             (position) => {
+                if (window.Geofence) window.Geofence.handlePosition(position);
                 const heading = position.coords.heading;
                 const speed = position.coords.speed;
                 
@@ -244,7 +245,7 @@
         // SUPER AGGRESSIVE: Remove all default location markers
         try {
             // Remove by class names
-            const defaultMarkers = document.querySelectorAll('.leaflet-marker-icon:not(.custom-location-indicator):not(.custom-user-location)');
+            const defaultMarkers = document.querySelectorAll('.leaflet-marker-icon:not(.custom-location-indicator):not(.custom-user-location):not(.app-marker)');
             defaultMarkers.forEach(marker => {
                 if (marker && marker.parentNode) {
                     marker.parentNode.removeChild(marker);
@@ -253,7 +254,7 @@
             });
             
             // Remove by src attributes (yellow arrows, default icons)
-            const imageMarkers = document.querySelectorAll('img.leaflet-marker-icon');
+            const imageMarkers = document.querySelectorAll('img.leaflet-marker-icon:not(.app-marker)');
             imageMarkers.forEach(marker => {
                 const src = marker.src || '';
                 if (src.includes('marker-icon') || src.includes('yellow') || src.includes('arrow') || src.includes('location')) {
@@ -276,7 +277,8 @@
             const allMarkers = document.querySelectorAll('.leaflet-marker-icon');
             allMarkers.forEach(marker => {
                 if (!marker.classList.contains('custom-location-indicator') && 
-                    !marker.classList.contains('custom-user-location')) {
+                    !marker.classList.contains('custom-user-location') &&
+                    !marker.classList.contains('app-marker')) {
                     marker.style.display = 'none';
                     marker.style.visibility = 'hidden';
                     marker.style.opacity = '0';
@@ -0,0 +1,252 @@
+// js/trail_follow.js
+// Follow-trail mode: warns the hiker when they stray from the trail shown on the map.
+
+(function() {
+    'use strict';
+
+    console.log("[TrailFollow] trail_follow.js loaded.");
+
+    const SETTINGS_KEY = 'trailFollowSettings';
+    const DEFAULT_SETTINGS = {
+        thresholdMeters: 50, // Distance from the trail that counts as off-route
+        sustainedSeconds: 30 // How long the hiker must stay off-route before the alert fires
+    };
+    const MAX_FIX_ACCURACY = 75; // metres - fixes worse than this cannot tell on- from off-route
+    const REPEAT_ALERT_MS = 2 * 60 * 1000; // Remind the hiker while they remain off-route
+
+    let settings = loadSettings();
+    let followEnabled = false;
+    let watchId = null;
+    let lastFixTimestamp = 0;
+    let offRouteSince = null;
+    let lastAlertTime = null;
+    let returnLine = null;
+    let audioContext = null;
+
+    let followToggle, statusSpan, thresholdInput, banner;
+
+    function loadSettings() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+            return Object.assign({}, DEFAULT_SETTINGS, stored);
+        } catch (error) {
+            console.error("[TrailFollow - loadSettings] Could not read stored settings:", error);
+            return Object.assign({}, DEFAULT_SETTINGS);
+        }
+    }
+
+    function saveSettings() {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    }
+
+    function setSettings(newSettings) {
+        settings = Object.assign({}, settings, newSettings);
+        saveSettings();
+        console.log("[TrailFollow - setSettings] Settings updated:", settings);
+    }
+
+    function updateStatus(text, state) {
+        if (!statusSpan) return;
+        statusSpan.textContent = text;
+        statusSpan.style.color = state === 'off' ? '#f44336' : state === 'on' ? '#2E7D32' : '#666';
+    }
+
+    function startFollowing() {
+        if (!navigator.geolocation) {
+            alert("Geolocation is not supported by your browser.");
+            if (followToggle) followToggle.checked = false;
+            return;
+        }
+        followEnabled = true;
+        offRouteSince = null;
+        lastAlertTime = null;
+        // Audio can only be unlocked from a user gesture, so create the context now
+        if (!audioContext && (window.AudioContext || window.webkitAudioContext)) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        watchId = navigator.geolocation.watchPosition(
+            handleFix,
+            (error) => {
+                console.error(`[TrailFollow - watch] Code: ${error.code}, Message: ${error.message}`);
+                updateStatus('GPS Error', 'off');
+            },
+            { enableHighAccuracy: true, timeout: 20000, maximumAge: 0 }
+        );
+        updateStatus('Waiting for GPS...', null);
+        console.log("[TrailFollow - start] Follow-trail mode enabled.");
+    }
+
+    function stopFollowing() {
+        followEnabled = false;
+        if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+        watchId = null;
+        offRouteSince = null;
+        clearAlert();
+        updateStatus('Off', null);
+        console.log("[TrailFollow - stop] Follow-trail mode disabled.");
+    }
+
+    // Shortest distance from a fix to any of the trail lines currently shown
+    function findNearestTrailPoint(point) {
+        if (typeof getActiveTrailLines !== 'function') return null;
+        let best = null;
+        getActiveTrailLines().forEach(line => {
+            const candidate = nearestPointOnPolyline(point, line);
+            if (candidate && (!best || candidate.distance < best.distance)) best = candidate;
+        });
+        return best;
+    }
+
+    function handleFix(position) {
+        if (!followEnabled) return;
+        const timestamp = position.timestamp || Date.now();
+        if (timestamp <= lastFixTimestamp) return; // Same fix delivered by several watchers
+        lastFixTimestamp = timestamp;
+
+        const { latitude, longitude, accuracy } = position.coords;
+        if (accuracy > MAX_FIX_ACCURACY) {
+            console.warn(`[TrailFollow - handleFix] Ignoring fix with poor accuracy: ${accuracy}m`);
+            return;
+        }
+
+        const point = { lat: latitude, lng: longitude };
+        const nearest = findNearestTrailPoint(point);
+        if (!nearest) {
+            updateStatus('No trail shown', null);
+            return;
+        }
+
+        const distance = Math.round(nearest.distance);
+        if (nearest.distance <= settings.thresholdMeters) {
+            if (lastAlertTime !== null) {
+                console.log(`[TrailFollow - handleFix] Back on trail (${distance}m).`);
+                showBanner('Back on the trail.', false);
+                setTimeout(() => { if (offRouteSince === null) hideBanner(); }, 4000);
+            }
+            offRouteSince = null;
+            lastAlertTime = null;
+            removeReturnLine();
+            updateStatus(`On trail (${distance} m)`, 'on');
+            return;
+        }
+
+        if (offRouteSince === null) offRouteSince = timestamp;
+        const offRouteSeconds = (timestamp - offRouteSince) / 1000;
+        updateStatus(`${distance} m off trail`, 'off');
+
+        if (offRouteSeconds >= settings.sustainedSeconds) {
+            drawReturnLine(point, nearest);
+            if (lastAlertTime === null || timestamp - lastAlertTime >= REPEAT_ALERT_MS) {
+                lastAlertTime = timestamp;
+                raiseAlert(distance);
+            } else {
+                showBanner(`You are ${distance} m off the trail. Follow the dashed line back.`, true);
+            }
+        }
+    }
+
+    function raiseAlert(distance) {
+        console.warn(`[TrailFollow - raiseAlert] Off route by ${distance}m.`);
+        showBanner(`⚠️ You are ${distance} m off the trail. Follow the dashed line back.`, true);
+        if (navigator.vibrate) navigator.vibrate([400, 150, 400, 150, 400]);
+        playAlertSound();
+    }
+
+    function playAlertSound() {
+        if (!audioContext) return;
+        try {
+            if (audioContext.state === 'suspended') audioContext.resume();
+            [0, 0.4, 0.8].forEach(offset => {
+                const oscillator = audioContext.createOscillator();
+                const gain = audioContext.createGain();
+                oscillator.type = 'square';
+                oscillator.frequency.value = 880;
+                gain.gain.value = 0.2;
+                oscillator.connect(gain);
+                gain.connect(audioContext.destination);
+                oscillator.start(audioContext.currentTime + offset);
+                oscillator.stop(audioContext.currentTime + offset + 0.25);
+            });
+        } catch (error) {
+            console.error("[TrailFollow - playAlertSound] Could not play alert sound:", error);
+        }
+    }
+
+    function drawReturnLine(point, nearest) {
+        if (typeof map === 'undefined' || !map) return;
+        const latLngs = [[point.lat, point.lng], [nearest.lat, nearest.lng]];
+        if (returnLine) {
+            returnLine.setLatLngs(latLngs);
+        } else {
+            returnLine = L.polyline(latLngs, { color: '#FF9800', weight: 4, dashArray: '8, 8', opacity: 0.9 }).addTo(map);
+        }
+    }
+
+    function removeReturnLine() {
+        if (returnLine && typeof map !== 'undefined' && map) map.removeLayer(returnLine);
+        returnLine = null;
+    }
+
+    function showBanner(message, isWarning) {
+        if (!banner) return;
+        banner.textContent = message;
+        banner.classList.toggle('off-route-banner-ok', !isWarning);
+        banner.style.display = 'block';
+    }
+
+    function hideBanner() {
+        if (banner) banner.style.display = 'none';
+    }
+
+    function clearAlert() {
+        lastAlertTime = null;
+        removeReturnLine();
+        hideBanner();
+    }
+
+    function initTrailFollowControls() {
+        followToggle = document.getElementById('follow-trail-toggle');
+        statusSpan = document.getElementById('follow-trail-status');
+        thresholdInput = document.getElementById('off-route-threshold');
+        banner = document.getElementById('off-route-banner');
+
+        if (!followToggle) {
+            console.warn("[TrailFollow - init] Follow-trail toggle not found.");
+            return;
+        }
+        followToggle.addEventListener('change', (event) => {
+            if (event.target.checked) startFollowing();
+            else stopFollowing();
+        });
+        if (thresholdInput) {
+            thresholdInput.value = settings.thresholdMeters;
+            thresholdInput.addEventListener('change', (event) => {
+                const value = parseInt(event.target.value, 10);
+                if (isNaN(value) || value < 10) {
+                    event.target.value = settings.thresholdMeters;
+                    return;
+                }
+                setSettings({ thresholdMeters: value });
+            });
+        }
+        if (banner) banner.addEventListener('click', hideBanner);
+        console.log("[TrailFollow - init] Follow-trail controls initialised.");
+    }
+
+    // Fixes taken by the recorder or "Where Am I" are useful too
+    window.addEventListener('gps-position', (event) => handleFix(event.detail.position));
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initTrailFollowControls);
+    } else {
+        initTrailFollowControls();
+    }
+
+    window.TrailFollow = {
+        start: startFollowing,
+        stop: stopFollowing,
+        isEnabled: () => followEnabled,
+        getSettings: () => Object.assign({}, settings),
+        setSettings
+    };
+})();
@@ -0,0 +1,228 @@
+// js/trail_pois.js
+// Points of interest (water, camps, picnic spots, viewpoints) taken from the named
+// Point placemarks in the official trail KMLs.
+
+(function() {
+    'use strict';
+
+    console.log("[TrailPOIs] trail_pois.js loaded.");
+
+    // Category definitions. Order matters: the first category whose pattern matches wins.
+    // Water means drinking water, so it only matches "water" as a whole word - not "Waterfall".
+    const POI_CATEGORIES = [
+        { id: 'water', label: 'Water', icon: '💧', color: '#1E88E5', pattern: /\bwater\b|spring|\btap\b/i },
+        { id: 'camp', label: 'Camps', icon: '⛺', color: '#6D4C41', pattern: /camp|houthuis|hut|house|dorm/i },
+        { id: 'picnic', label: 'Picnic', icon: '🧺', color: '#43A047', pattern: /picnic/i },
+        { id: 'viewpoint', label: 'Viewpoints', icon: '👁️', color: '#8E24AA', pattern: /view|falls|waterfall|lookout|staircase|dam|lake/i },
+        { id: 'other', label: 'Other', icon: '📌', color: '#757575', pattern: null }
+    ];
+
+    let poisByTrail = {}; // { trailId: [poi, ...] }
+    let categoryLayers = {}; // { categoryId: L.layerGroup }
+    let enabledCategories = {}; // { categoryId: boolean }
+    let visibleTrailIds = [];
+    let visiblePois = [];
+
+    POI_CATEGORIES.forEach(category => {
+        enabledCategories[category.id] = true;
+    });
+
+    function getCategoryById(categoryId) {
+        return POI_CATEGORIES.find(category => category.id === categoryId) || POI_CATEGORIES[POI_CATEGORIES.length - 1];
+    }
+
+    // Infer a category from the placemark name first, then from its style id (e.g. "#water-icon").
+    function inferCategory(name, styleUrl) {
+        const candidates = [name || '', styleUrl || ''];
+        for (const text of candidates) {
+            const match = POI_CATEGORIES.find(category => category.pattern && category.pattern.test(text));
+            if (match) return match.id;
+        }
+        return 'other';
+    }
+
+    // Convert the named Point features of a trail's GeoJSON into POI records and cache them.
+    // Unnamed points are the track vertices exported by the GPS software and are skipped.
+    function registerTrailFeatures(trailId, features) {
+        const pois = [];
+        (features || []).forEach(feature => {
+            if (!feature.geometry || feature.geometry.type !== 'Point') return;
+            const props = feature.properties || {};
+            const name = (props.name || '').trim();
+            if (!name) return;
+            const [lng, lat, ele] = feature.geometry.coordinates;
+            pois.push({
+                id: `${trailId}:${name}`,
+                name: name,
+                description: (props.description || '').trim(),
+                category: inferCategory(name, props.styleUrl),
+                lat: lat,
+                lng: lng,
+                ele: typeof ele === 'number' && ele !== 0 ? ele : null,
+                trailId: trailId
+            });
+        });
+        poisByTrail[trailId] = pois;
+        console.log(`[TrailPOIs - register] ${pois.length} POIs registered for trail ${trailId}.`);
+        return pois;
+    }
+
+    // Register POIs listed for a trail in the trails manifest (same shape as the KML-derived ones).
+    function registerTrailPois(trailId, manifestPois) {
+        const pois = (manifestPois || []).filter(poi => poi && poi.name).map(poi => ({
+            id: `${trailId}:${poi.name}`,
+            name: poi.name,
+            description: poi.description || '',
+            category: getCategoryById(poi.category || inferCategory(poi.name)).id,
+            lat: poi.lat,
+            lng: poi.lng,
+            ele: typeof poi.ele === 'number' ? poi.ele : null,
+            trailId: trailId
+        }));
+        poisByTrail[trailId] = pois;
+        console.log(`[TrailPOIs - register] ${pois.length} POIs registered for trail ${trailId} from the manifest.`);
+        return pois;
+    }
+
+    function getPoisForTrail(trailId) {
+        return poisByTrail[trailId] || [];
+    }
+
+    // The same placemark appears in several trail files; keep one marker per name and rough position.
+    function dedupePois(pois) {
+        const seen = {};
+        return pois.filter(poi => {
+            const key = `${poi.name.toLowerCase()}|${poi.lat.toFixed(4)}|${poi.lng.toFixed(4)}`;
+            if (seen[key]) return false;
+            seen[key] = true;
+            return true;
+        });
+    }
+
+    function createPoiIcon(category) {
+        return L.divIcon({
+            html: `<div class="poi-marker-badge" style="background:${category.color};">${category.icon}</div>`,
+            className: `app-marker poi-marker poi-marker-${category.id}`,
+            iconSize: [28, 28],
+            iconAnchor: [14, 14],
+            popupAnchor: [0, -14]
+        });
+    }
+
+    function buildPopupHtml(poi) {
+        const category = getCategoryById(poi.category);
+        const trail = typeof getTrailById === 'function' ? getTrailById(poi.trailId) : null;
+        let html = `<b>${escapeXml(poi.name)}</b><br><small>${category.icon} ${category.label}</small>`;
+        if (poi.description && poi.description !== poi.name) html += `<br>${escapeXml(poi.description)}`;
+        if (poi.ele !== null) html += `<br><small>Elevation: ${Math.round(poi.ele)} m</small>`;
+        if (trail) html += `<br><small>Trail: ${escapeXml(trail.name)}</small>`;
+        if (window.Geofence) {
+            const current = window.Geofence.getPoiAlertRadius(poi.id);
+            const options = window.Geofence.radiusChoices.map(radius =>
+                `<option value="${radius}"${radius === current ? ' selected' : ''}>${radius > 0 ? `Within ${radius} m` : 'Off'}</option>`).join('');
+            html += `<br><label><small>🔔 Alert: </small><select class="poi-alert-radius">${options}</select></label>`;
+        }
+        return html;
+    }
+
+    // The alert select in the popup sets a proximity alert (geofence) around the POI
+    function bindPoiAlertSelect(poi, popupElement) {
+        const select = popupElement && popupElement.querySelector('.poi-alert-radius');
+        if (!select) return;
+        select.addEventListener('change', () => window.Geofence.setPoiAlertRadius(poi, parseInt(select.value, 10)));
+    }
+
+    function ensureCategoryLayers() {
+        if (typeof map === 'undefined' || !map) return false;
+        POI_CATEGORIES.forEach(category => {
+            if (!categoryLayers[category.id]) categoryLayers[category.id] = L.layerGroup();
+            const layer = categoryLayers[category.id];
+            if (enabledCategories[category.id] && !map.hasLayer(layer)) layer.addTo(map);
+            if (!enabledCategories[category.id] && map.hasLayer(layer)) map.removeLayer(layer);
+        });
+        return true;
+    }
+
+    // Replace the POI markers on the map with those belonging to the given trails.
+    function showPoisForTrails(trailIds) {
+        visibleTrailIds = (trailIds || []).filter(id => id && id !== 'none');
+        if (!ensureCategoryLayers()) {
+            console.warn("[TrailPOIs - show] Map not ready, cannot show POIs.");
+            return;
+        }
+        Object.keys(categoryLayers).forEach(categoryId => categoryLayers[categoryId].clearLayers());
+
+        let pois = [];
+        visibleTrailIds.forEach(trailId => { pois = pois.concat(getPoisForTrail(trailId)); });
+        visiblePois = dedupePois(pois);
+
+        visiblePois.forEach(poi => {
+            const category = getCategoryById(poi.category);
+            L.marker([poi.lat, poi.lng], { icon: createPoiIcon(category), title: poi.name })
+                .bindPopup(() => buildPopupHtml(poi))
+                .on('popupopen', (event) => bindPoiAlertSelect(poi, event.popup.getElement()))
+                .addTo(categoryLayers[category.id]);
+        });
+        updateToggleCounts();
+        console.log(`[TrailPOIs - show] Showing ${visiblePois.length} POIs for trails: ${visibleTrailIds.join(', ') || '(none)'}.`);
+    }
+
+    function setCategoryEnabled(categoryId, enabled) {
+        enabledCategories[categoryId] = !!enabled;
+        ensureCategoryLayers();
+        console.log(`[TrailPOIs - toggle] Category ${categoryId} ${enabled ? 'shown' : 'hidden'}.`);
+    }
+
+    function updateToggleCounts() {
+        POI_CATEGORIES.forEach(category => {
+            const countSpan = document.getElementById(`poi-count-${category.id}`);
+            if (countSpan) {
+                const count = visiblePois.filter(poi => poi.category === category.id).length;
+                countSpan.textContent = count > 0 ? `(${count})` : '';
+            }
+        });
+    }
+
+    function initPoiToggles() {
+        const container = document.getElementById('poi-toggle-row');
+        if (!container) {
+            console.warn("[TrailPOIs - init] POI toggle container not found.");
+            return;
+        }
+        POI_CATEGORIES.forEach(category => {
+            const label = document.createElement('label');
+            label.className = 'toggle-label poi-toggle';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.id = `poi-toggle-${category.id}`;
+            checkbox.checked = enabledCategories[category.id];
+            checkbox.addEventListener('change', (event) => setCategoryEnabled(category.id, event.target.checked));
+            const countSpan = document.createElement('span');
+            countSpan.id = `poi-count-${category.id}`;
+            countSpan.className = 'status-compact';
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${category.icon} ${category.label} `));
+            label.appendChild(countSpan);
+            container.appendChild(label);
+        });
+        console.log("[TrailPOIs - init] POI category toggles added.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initPoiToggles);
+    } else {
+        initPoiToggles();
+    }
+
+    window.TrailPOIs = {
+        categories: POI_CATEGORIES,
+        inferCategory,
+        registerTrailFeatures,
+        registerTrailPois,
+        getPoisForTrail,
+        showPoisForTrails,
+        setCategoryEnabled,
+        getVisiblePois: () => visiblePois.slice(),
+        getVisibleTrailIds: () => visibleTrailIds.slice()
+    };
+})();
@@ -0,0 +1,230 @@
+// js/trail_progress.js
+// Live progress along the trail on the map: distance done and left, percent complete
+// and the estimated time to the next point of interest or overnight stop.
+
+(function() {
+    'use strict';
+
+    console.log("[TrailProgress] trail_progress.js loaded.");
+
+    const MAX_FIX_ACCURACY = 75; // metres
+    const MAX_SNAP_DISTANCE = 200; // metres - further than this from the trail and progress is not meaningful
+    const STOP_MAX_OFFSET = 150; // metres - POIs further than this from the line are not "on" the trail
+    const SPEED_WINDOW_MS = 10 * 60 * 1000; // Moving speed is averaged over the last 10 minutes
+    const MIN_MOVING_SPEED = 0.3; // m/s - slower than this counts as standing still
+
+    let progressEnabled = false;
+    let watchId = null;
+    let lastFixTimestamp = 0;
+    let recentFixes = []; // [{ lat, lng, ts }]
+    let route = null; // { latLngs, cumulative, total, stops }
+    let routeKey = null;
+    let lastAlong = null;
+
+    let progressToggle, panel;
+
+    // Cumulative distance (m) at each vertex of the line
+    function buildCumulativeDistances(latLngs) {
+        const cumulative = [0];
+        for (let i = 1; i < latLngs.length; i++) {
+            cumulative.push(cumulative[i - 1] + haversineDistance(latLngs[i - 1], latLngs[i]));
+        }
+        return cumulative;
+    }
+
+    function alongDistance(snap, cumulative) {
+        const segmentLength = cumulative[snap.segmentIndex + 1] - cumulative[snap.segmentIndex];
+        return cumulative[snap.segmentIndex] + snap.fraction * segmentLength;
+    }
+
+    // Rebuild the route model when the trail on the map changes
+    function getRoute() {
+        const lines = typeof getActiveTrailLines === 'function' ? getActiveTrailLines() : [];
+        if (lines.length !== 1) {
+            route = null;
+            routeKey = null;
+            return null;
+        }
+        const latLngs = lines[0];
+        const key = `${latLngs.length}|${latLngs[0].lat}|${latLngs[0].lng}|${latLngs[latLngs.length - 1].lat}`;
+        if (route && routeKey === key) return route;
+
+        const cumulative = buildCumulativeDistances(latLngs);
+        const stops = [];
+        const pois = window.TrailPOIs ? window.TrailPOIs.getVisiblePois() : [];
+        pois.forEach(poi => {
+            const snap = nearestPointOnPolyline({ lat: poi.lat, lng: poi.lng }, latLngs);
+            if (snap && snap.distance <= STOP_MAX_OFFSET) {
+                stops.push({ name: poi.name, along: alongDistance(snap, cumulative) });
+            }
+        });
+        const dayStops = typeof getActiveTrailDayStops === 'function' ? getActiveTrailDayStops() : [];
+        dayStops.forEach(stop => {
+            const snap = nearestPointOnPolyline(stop.latLng, latLngs);
+            if (snap) stops.push({ name: `${stop.name} (end of Day ${stop.day})`, along: alongDistance(snap, cumulative) });
+        });
+        stops.sort((a, b) => a.along - b.along);
+
+        route = { latLngs: latLngs, cumulative: cumulative, total: cumulative[cumulative.length - 1], stops: stops };
+        routeKey = key;
+        lastAlong = null;
+        console.log(`[TrailProgress - getRoute] Route rebuilt: ${(route.total / 1000).toFixed(2)} km, ${stops.length} stops.`);
+        return route;
+    }
+
+    // Snap onto the route, preferring the stretch just ahead of the last position so that
+    // out-and-back and loop sections do not make progress jump around
+    function snapToRoute(point, currentRoute) {
+        const globalSnap = nearestPointOnPolyline(point, currentRoute.latLngs);
+        if (!globalSnap || lastAlong === null) return globalSnap;
+
+        const startIndex = Math.max(0, currentRoute.cumulative.findIndex(d => d >= lastAlong - 100) - 1);
+        const ahead = currentRoute.latLngs.slice(startIndex);
+        const localSnap = nearestPointOnPolyline(point, ahead);
+        if (localSnap && localSnap.distance <= globalSnap.distance + 30) {
+            localSnap.segmentIndex += startIndex;
+            return localSnap;
+        }
+        return globalSnap;
+    }
+
+    // Average moving speed (m/s) over the recent fixes, ignoring time spent standing still
+    function getMovingSpeed() {
+        let distance = 0;
+        let movingMs = 0;
+        for (let i = 1; i < recentFixes.length; i++) {
+            const legDistance = haversineDistance(recentFixes[i - 1], recentFixes[i]);
+            const legMs = recentFixes[i].ts - recentFixes[i - 1].ts;
+            if (legMs <= 0) continue;
+            if (legDistance / (legMs / 1000) >= MIN_MOVING_SPEED) {
+                distance += legDistance;
+                movingMs += legMs;
+            }
+        }
+        return movingMs > 60 * 1000 ? distance / (movingMs / 1000) : null;
+    }
+
+    function handleFix(position) {
+        if (!progressEnabled) return;
+        const timestamp = position.timestamp || Date.now();
+        if (timestamp <= lastFixTimestamp) return;
+        lastFixTimestamp = timestamp;
+
+        const { latitude, longitude, accuracy } = position.coords;
+        if (accuracy > MAX_FIX_ACCURACY) return;
+
+        const point = { lat: latitude, lng: longitude, ts: timestamp };
+        recentFixes.push(point);
+        recentFixes = recentFixes.filter(fix => timestamp - fix.ts <= SPEED_WINDOW_MS);
+
+        const currentRoute = getRoute();
+        if (!currentRoute) {
+            renderMessage('Select a single trail to see your progress.');
+            return;
+        }
+        const snap = snapToRoute(point, currentRoute);
+        if (!snap || snap.distance > MAX_SNAP_DISTANCE) {
+            renderMessage(`You are ${snap ? Math.round(snap.distance) : '?'} m from the trail. Progress resumes when you are back on it.`);
+            return;
+        }
+
+        const along = alongDistance(snap, currentRoute.cumulative);
+        lastAlong = along;
+        const nextStop = currentRoute.stops.find(stop => stop.along > along + 20) || null;
+        renderProgress({
+            covered: along,
+            remaining: currentRoute.total - along,
+            percent: currentRoute.total > 0 ? (along / currentRoute.total) * 100 : 0,
+            nextStop: nextStop,
+            nextStopDistance: nextStop ? nextStop.along - along : null,
+            speed: getMovingSpeed()
+        });
+    }
+
+    function renderMessage(message) {
+        if (!panel) return;
+        panel.innerHTML = `<p class="trail-progress-message">${message}</p>`;
+    }
+
+    function renderProgress(progress) {
+        if (!panel) return;
+        let etaText = '—';
+        if (progress.nextStop && progress.speed) {
+            const etaMs = (progress.nextStopDistance / progress.speed) * 1000;
+            const arrival = new Date(Date.now() + etaMs);
+            etaText = `${formatDuration(etaMs).slice(0, 5)} h (arrive ~${arrival.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })})`;
+        }
+        const nextStopText = progress.nextStop
+            ? `${escapeXml(progress.nextStop.name)} in ${(progress.nextStopDistance / 1000).toFixed(2)} km`
+            : 'End of trail';
+        panel.innerHTML = `
+            <div class="trail-progress-bar"><div style="width: ${Math.min(100, progress.percent).toFixed(1)}%;"></div></div>
+            <div class="trail-progress-grid">
+                <div><small>Covered</small><strong>${(progress.covered / 1000).toFixed(2)} km</strong></div>
+                <div><small>Remaining</small><strong>${(progress.remaining / 1000).toFixed(2)} km</strong></div>
+                <div><small>Complete</small><strong>${progress.percent.toFixed(0)}%</strong></div>
+                <div><small>Speed</small><strong>${progress.speed ? (progress.speed * 3.6).toFixed(1) + ' km/h' : '—'}</strong></div>
+            </div>
+            <p><small>Next stop:</small> ${nextStopText}<br><small>ETA:</small> ${etaText}</p>
+        `;
+    }
+
+    function startProgress() {
+        if (!navigator.geolocation) {
+            alert("Geolocation is not supported by your browser.");
+            if (progressToggle) progressToggle.checked = false;
+            return;
+        }
+        progressEnabled = true;
+        recentFixes = [];
+        lastAlong = null;
+        route = null;
+        if (panel) panel.style.display = 'block';
+        renderMessage('Waiting for GPS...');
+        watchId = navigator.geolocation.watchPosition(
+            handleFix,
+            (error) => {
+                console.error(`[TrailProgress - watch] Code: ${error.code}, Message: ${error.message}`);
+                renderMessage(`GPS Error: ${error.message}`);
+            },
+            { enableHighAccuracy: true, timeout: 20000, maximumAge: 0 }
+        );
+        console.log("[TrailProgress - start] Progress panel enabled.");
+    }
+
+    function stopProgress() {
+        progressEnabled = false;
+        if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+        watchId = null;
+        if (panel) panel.style.display = 'none';
+        console.log("[TrailProgress - stop] Progress panel disabled.");
+    }
+
+    function initTrailProgressControls() {
+        progressToggle = document.getElementById('trail-progress-toggle');
+        panel = document.getElementById('trail-progress-panel');
+        if (!progressToggle || !panel) {
+            console.warn("[TrailProgress - init] Progress toggle or panel not found.");
+            return;
+        }
+        progressToggle.addEventListener('change', (event) => {
+            if (event.target.checked) startProgress();
+            else stopProgress();
+        });
+        console.log("[TrailProgress - init] Progress controls initialised.");
+    }
+
+    window.addEventListener('gps-position', (event) => handleFix(event.detail.position));
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initTrailProgressControls);
+    } else {
+        initTrailProgressControls();
+    }
+
+    window.TrailProgress = {
+        start: startProgress,
+        stop: stopProgress,
+        isEnabled: () => progressEnabled
+    };
+})();
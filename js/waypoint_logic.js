@@ -25,28 +25,109 @@ function decimalToDMS(decimal, type) {
     return `${degrees}°${minutes}\'${seconds}" ${direction}`;
 }
 
-// Function to handle saving a new waypoint (with prompts for name and description)
-async function saveNewWaypoint(lat, lon) {
+// Waypoint categories: each has a default icon and marker colour that the form lets the user change
+const WAYPOINT_CATEGORIES = [
+    { id: "water", label: "Water", icon: "💧", color: "#1E88E5" },
+    { id: "camp", label: "Camp", icon: "⛺", color: "#43A047" },
+    { id: "hazard", label: "Hazard", icon: "⚠️", color: "#E53935" },
+    { id: "viewpoint", label: "Viewpoint", icon: "🔭", color: "#8E24AA" },
+    { id: "parking", label: "Parking", icon: "🅿️", color: "#546E7A" },
+    { id: "custom", label: "Custom", icon: "📍", color: "#FFC107" }
+];
+const WAYPOINT_ICON_CHOICES = ["📍", "💧", "⛺", "⚠️", "🔭", "🅿️", "🚗", "🌳", "🌊", "🏞️", "🪨", "🐾", "🚻", "🍽️", "⭐"];
+let waypointCategoryFilter = "all";
+
+function getWaypointCategory(categoryId) {
+    return WAYPOINT_CATEGORIES.find(category => category.id === categoryId) || WAYPOINT_CATEGORIES[WAYPOINT_CATEGORIES.length - 1];
+}
+
+// Show the waypoint form sheet. Resolves with the entered values, or null when cancelled.
+function openWaypointForm(initialValues) {
+    const sheet = document.getElementById("waypoint-form-sheet");
+    if (!sheet) {
+        console.error("[WaypointLogic] Waypoint form sheet not found.");
+        return Promise.resolve(null);
+    }
+    const form = sheet.querySelector("form");
+    const categorySelect = form.elements["waypoint-category"];
+    const iconSelect = form.elements["waypoint-icon"];
+    const colorInput = form.elements["waypoint-color"];
+    const alertRadiusSelect = form.elements["waypoint-alert-radius"];
+    if (categorySelect.options.length === 0) {
+        WAYPOINT_CATEGORIES.forEach(category => categorySelect.add(new Option(`${category.icon} ${category.label}`, category.id)));
+        WAYPOINT_ICON_CHOICES.forEach(icon => iconSelect.add(new Option(icon, icon)));
+        const radiusChoices = window.Geofence ? window.Geofence.radiusChoices : [0];
+        radiusChoices.forEach(radius => alertRadiusSelect.add(new Option(radius > 0 ? `Within ${radius} m` : "Off", radius)));
+    }
+    const values = Object.assign({ name: "", category: "custom", icon: null, color: null, description: "", alertRadius: 0 }, initialValues);
+    const category = getWaypointCategory(values.category);
+    sheet.querySelector(".waypoint-form-title").textContent = values.id ? "Edit Waypoint" : "New Waypoint";
+    form.elements["waypoint-name"].value = values.name;
+    categorySelect.value = category.id;
+    iconSelect.value = values.icon || category.icon;
+    colorInput.value = values.color || category.color;
+    form.elements["waypoint-notes"].value = values.description || "";
+    alertRadiusSelect.value = String(values.alertRadius || 0);
+    if (alertRadiusSelect.selectedIndex === -1) alertRadiusSelect.add(new Option(`Within ${values.alertRadius} m`, values.alertRadius, true, true));
+    form.elements["waypoint-photo"].value = "";
+    sheet.style.display = "flex";
+    form.elements["waypoint-name"].focus();
+
+    return new Promise(resolve => {
+        // Picking a category switches the icon and colour to its defaults
+        categorySelect.onchange = () => {
+            const selected = getWaypointCategory(categorySelect.value);
+            iconSelect.value = selected.icon;
+            colorInput.value = selected.color;
+        };
+        const finish = (result) => {
+            sheet.style.display = "none";
+            form.onsubmit = null;
+            form.querySelector(".waypoint-form-cancel").onclick = null;
+            resolve(result);
+        };
+        form.onsubmit = (event) => {
+            event.preventDefault();
+            finish({
+                name: form.elements["waypoint-name"].value.trim(),
+                category: categorySelect.value,
+                icon: iconSelect.value,
+                color: colorInput.value,
+                description: form.elements["waypoint-notes"].value.trim(),
+                alertRadius: parseInt(alertRadiusSelect.value, 10) || 0,
+                photo: form.elements["waypoint-photo"].files[0] || null
+            });
+        };
+        form.querySelector(".waypoint-form-cancel").onclick = () => finish(null);
+    });
+}
+
+// Function to handle saving a new waypoint (details are entered in the waypoint form sheet).
+// alt is the GPS altitude in metres, when the position came from the GPS.
+async function saveNewWaypoint(lat, lon, alt) {
     const callId = ++saveWaypointCallCounter;
     console.log(`[WaypointLogic CALL #${callId}] saveNewWaypoint called with lat, lon:`, lat, lon);
 
-    const name = prompt(`[CALL #${callId}] Enter a name for this waypoint:`, `Waypoint ${new Date().toLocaleDateString()}`);
-    if (name === null) {
-        console.log(`[WaypointLogic CALL #${callId}] User cancelled entering name.`);
-        return; 
+    const values = await openWaypointForm({ name: `Waypoint ${new Date().toLocaleDateString()}` });
+    if (values === null) {
+        console.log(`[WaypointLogic CALL #${callId}] User cancelled the waypoint form.`);
+        return;
     }
 
-    const description = prompt(`[CALL #${callId}] Enter a description for this waypoint (optional):`, "");
-
     const dmsLat = decimalToDMS(lat, "lat");
     const dmsLon = decimalToDMS(lon, "lon");
     const timestamp = new Date().toISOString();
 
     const newWaypoint = {
-        name: name || `Waypoint ${new Date(timestamp).toLocaleString()}`,
-        description: description || "",
+        name: values.name || `Waypoint ${new Date(timestamp).toLocaleString()}`,
+        description: values.description,
+        category: values.category,
+        icon: values.icon,
+        color: values.color,
+        alertRadius: values.alertRadius,
         lat: lat,
         lon: lon,
+        alt: typeof alt === 'number' && !isNaN(alt) ? alt : null,
         dms: {
             lat: dmsLat,
             lon: dmsLon
@@ -58,46 +139,78 @@ async function saveNewWaypoint(lat, lon) {
 
     try {
         if (typeof db !== 'undefined' && db.waypoints) {
-            console.log(`[WaypointLogic CALL #${callId}] DB connection available.`);
-            const countBefore = await db.waypoints.count();
-            console.log(`[WaypointLogic CALL #${callId}] Waypoints count BEFORE add: ${countBefore}`);
-            console.log(`[WaypointLogic CALL #${callId}] About to call db.waypoints.add() with:`, JSON.stringify(newWaypoint));
             const addedId = await db.waypoints.add(newWaypoint);
-            console.log(`[WaypointLogic CALL #${callId}] Waypoint supposedly ADDED to IndexedDB. Returned ID: ${addedId}`);
-            const countAfter = await db.waypoints.count();
-            console.log(`[WaypointLogic CALL #${callId}] Waypoints count AFTER add: ${countAfter}`);
-            if (addedId) {
-                const fetchedWaypoint = await db.waypoints.get(addedId);
-                console.log(`[WaypointLogic CALL #${callId}] Fetched waypoint by ID ${addedId} immediately after add:`, JSON.stringify(fetchedWaypoint));
-            }
-            if (countAfter > countBefore) {
-                 console.log(`[WaypointLogic CALL #${callId}] Successfully added ${countAfter - countBefore} waypoint(s).`);
-            } else {
-                console.warn(`[WaypointLogic CALL #${callId}] Waypoint count did NOT increase after add. Before: ${countBefore}, After: ${countAfter}`);
-            }
-            alert(`[CALL #${callId}] Waypoint Saved (ID: ${addedId})\nName: ${newWaypoint.name}\nCoords: ${dmsLat}, ${dmsLon}`);
-            if (typeof loadAndDisplaySavedWaypoints === 'function') {
-                console.log(`[WaypointLogic CALL #${callId}] Calling loadAndDisplaySavedWaypoints().`);
-                loadAndDisplaySavedWaypoints();
+            console.log(`[WaypointLogic CALL #${callId}] Waypoint added to IndexedDB with ID: ${addedId}`);
+            if (values.photo && window.Photos) {
+                await window.Photos.savePhoto(values.photo, { lat: lat, lng: lon }, { waypointId: addedId });
             }
+            alert(`Waypoint Saved\nName: ${newWaypoint.name}\nCoords: ${dmsLat}, ${dmsLon}`);
+            if (typeof loadAndDisplaySavedWaypoints === 'function') loadAndDisplaySavedWaypoints();
         } else {
             console.error(`[WaypointLogic CALL #${callId}] Database (db or db.waypoints) not available for saving waypoint.`);
-            alert(`[CALL #${callId}] Error: Could not save waypoint. Database not ready.`);
+            alert("Error: Could not save waypoint. Database not ready.");
         }
     } catch (error) {
         console.error(`[WaypointLogic CALL #${callId}] Error during waypoint save/DB operation:`, error);
-        alert(`[CALL #${callId}] Error saving waypoint. See console for details.`);
+        alert("Error saving waypoint. See console for details.");
     }
     console.log(`[WaypointLogic CALL #${callId}] saveNewWaypoint execution finished.`);
 }
 
+// Edit the details of a saved waypoint in the form sheet
+async function editWaypoint(waypoint) {
+    const values = await openWaypointForm(waypoint);
+    if (values === null) return;
+    try {
+        await db.waypoints.update(waypoint.id, {
+            name: values.name || waypoint.name,
+            description: values.description,
+            category: values.category,
+            icon: values.icon,
+            color: values.color,
+            alertRadius: values.alertRadius
+        });
+        if (values.photo && window.Photos) {
+            await window.Photos.savePhoto(values.photo, { lat: waypoint.lat, lng: waypoint.lon }, { waypointId: waypoint.id });
+        }
+        console.log("[WaypointLogic] Updated waypoint ID:", waypoint.id);
+        loadAndDisplaySavedWaypoints();
+    } catch (error) {
+        console.error("[WaypointLogic] Error updating waypoint:", error);
+        alert("Error updating waypoint.");
+    }
+}
+
+// Used for waypoints saved before categories existed. The app-marker class exempts it from the
+// stylesheet rule that hides default Leaflet marker icons.
 const hikerIcon = L.icon({
     iconUrl: 'assets/hiker_waypoint_icon_yellow.png',
     iconSize: [32, 32],
     iconAnchor: [16, 32],
-    popupAnchor: [0, -32]
+    popupAnchor: [0, -32],
+    className: 'app-marker'
 });
 
+function getWaypointIcon(waypoint) {
+    if (!waypoint.category) return hikerIcon;
+    const category = getWaypointCategory(waypoint.category);
+    return L.divIcon({
+        className: 'app-marker waypoint-marker',
+        html: `<span class="waypoint-marker-badge" style="background: ${escapeXml(waypoint.color || category.color)};">${escapeXml(waypoint.icon || category.icon)}</span>`,
+        iconSize: [30, 30],
+        iconAnchor: [15, 15],
+        popupAnchor: [0, -15]
+    });
+}
+
+function formatWaypointNotes(text) {
+    return escapeXml(text || '').replace(/\n/g, '<br>');
+}
+
+function waypointMatchesFilter(waypoint) {
+    return waypointCategoryFilter === 'all' || (waypoint.category || 'custom') === waypointCategoryFilter;
+}
+
 let waypointMarkersLayer = L.layerGroup();
 
 function addWaypointToMap(waypoint) {
@@ -108,12 +221,55 @@ function addWaypointToMap(waypoint) {
     if (!map.hasLayer(waypointMarkersLayer)) {
          waypointMarkersLayer.addTo(map);
     }
-    const marker = L.marker([waypoint.lat, waypoint.lon], { icon: hikerIcon })
-        .bindPopup(`<b>${waypoint.name}</b><br>${waypoint.description || ''}<br><small>${waypoint.dms.lat}, ${waypoint.dms.lon}</small>`)
+    const categoryLabel = waypoint.category ? `${getWaypointCategory(waypoint.category).label}<br>` : '';
+    const marker = L.marker([waypoint.lat, waypoint.lon], { icon: getWaypointIcon(waypoint), draggable: true, waypointId: waypoint.id })
+        .bindPopup(`<b>${escapeXml(waypoint.name)}</b><br><small>${categoryLabel}</small>${formatWaypointNotes(waypoint.description)}<br><small>${waypoint.dms.lat}, ${waypoint.dms.lon}</small>`)
         .addTo(waypointMarkersLayer);
+    marker.on('dragend', () => moveWaypoint(waypoint, marker));
     return marker;
 }
 
+// Write a dragged waypoint's new position back to the database, or put the marker back if cancelled
+async function moveWaypoint(waypoint, marker) {
+    const newLatLng = marker.getLatLng();
+    if (!confirm(`Move waypoint "${waypoint.name}" here?`)) {
+        marker.setLatLng([waypoint.lat, waypoint.lon]);
+        return;
+    }
+    const changes = {
+        lat: newLatLng.lat,
+        lon: newLatLng.lng,
+        alt: null, // The GPS altitude was for the old spot
+        dms: {
+            lat: decimalToDMS(newLatLng.lat, "lat"),
+            lon: decimalToDMS(newLatLng.lng, "lon")
+        }
+    };
+    try {
+        await db.waypoints.update(waypoint.id, changes);
+        if (window.Photos) {
+            // Photos taken at the waypoint move with it
+            await db.photos.where('waypointId').equals(waypoint.id).modify({ lat: changes.lat, lng: changes.lon });
+            window.Photos.reloadMarkers();
+        }
+        console.log(`[WaypointLogic] Moved waypoint ID ${waypoint.id} to ${changes.lat}, ${changes.lon}.`);
+        loadAndDisplaySavedWaypoints();
+    } catch (error) {
+        console.error("[WaypointLogic] Error moving waypoint:", error);
+        alert("Error moving waypoint.");
+        marker.setLatLng([waypoint.lat, waypoint.lon]);
+    }
+}
+
+// Long-press (touch) or right-click (mouse) on the map creates a waypoint at that spot
+function handleMapContextMenu(event) {
+    if (window.isSavingWaypointGlobalFlag) return;
+    window.isSavingWaypointGlobalFlag = true;
+    console.log("[WaypointLogic] Map long-press/right-click at:", event.latlng);
+    saveNewWaypoint(event.latlng.lat, event.latlng.lng)
+        .finally(() => { window.isSavingWaypointGlobalFlag = false; });
+}
+
 function addWaypointToList(waypoint, container) {
     if (!container) {
         console.error("[WaypointLogic] addWaypointToList: Waypoint list container not found.");
@@ -123,10 +279,12 @@ function addWaypointToList(waypoint, container) {
     const item = document.createElement('div');
     item.className = 'waypoint-list-item';
     item.setAttribute('data-waypoint-id', waypoint.id); // Add data attribute for easier debugging
+    const category = getWaypointCategory(waypoint.category);
     item.innerHTML = `
-        <h4>${waypoint.name}</h4>
-        <p>${waypoint.description || 'No description'}</p>
-        <p><small>Coordinates: ${waypoint.dms.lat}, ${waypoint.dms.lon}</small></p>
+        <h4><input type="checkbox" class="waypoint-select-checkbox" data-waypoint-id="${waypoint.id}" title="Select for export"> <span class="waypoint-marker-badge" style="background: ${escapeXml(waypoint.color || category.color)};">${escapeXml(waypoint.icon || category.icon)}</span> ${escapeXml(waypoint.name)}</h4>
+        <p><small>${category.label}${waypoint.alertRadius > 0 ? ` - 🔔 alert within ${waypoint.alertRadius} m` : ''}</small></p>
+        <p>${waypoint.description ? formatWaypointNotes(waypoint.description) : 'No notes'}</p>
+        <p><small>Coordinates: ${waypoint.dms.lat}, ${waypoint.dms.lon}${typeof waypoint.alt === 'number' ? ` - elevation ${Math.round(waypoint.alt)} m` : ''}</small></p>
         <p><small>Saved: ${new Date(waypoint.timestamp).toLocaleString()} (ID: ${waypoint.id})</small></p>
     `;
     const viewButton = document.createElement('button');
@@ -143,15 +301,51 @@ function addWaypointToList(waypoint, container) {
             else console.warn("[WaypointLogic] switchSection function not found when trying to view waypoint on map.");
         }
     };
+    const goToButton = document.createElement('button');
+    goToButton.textContent = 'Go to';
+    goToButton.onclick = () => {
+        if (window.WaypointNavigation) window.WaypointNavigation.start(waypoint);
+    };
+    const photoStrip = document.createElement('div');
+    photoStrip.className = 'photo-strip';
+    photoStrip.style.display = 'none';
+    const photoInput = document.createElement('input');
+    photoInput.type = 'file';
+    photoInput.accept = 'image/*';
+    photoInput.setAttribute('capture', 'environment');
+    photoInput.style.display = 'none';
+    photoInput.onchange = async () => {
+        const file = photoInput.files[0];
+        if (!file || !window.Photos) return;
+        try {
+            // The photo is placed at the waypoint rather than wherever the phone is now
+            await window.Photos.savePhoto(file, { lat: waypoint.lat, lng: waypoint.lon }, { waypointId: waypoint.id });
+            window.Photos.renderPhotoStrip(photoStrip, { waypointId: waypoint.id });
+        } catch (error) {
+            console.error("[WaypointLogic] Error saving waypoint photo:", error);
+            alert(`Error saving photo: ${error.message}`);
+        }
+        photoInput.value = '';
+    };
+    const photoButton = document.createElement('button');
+    photoButton.textContent = 'Add Photo';
+    photoButton.onclick = () => photoInput.click();
+    if (window.Photos) window.Photos.renderPhotoStrip(photoStrip, { waypointId: waypoint.id });
+    const editButton = document.createElement('button');
+    editButton.textContent = 'Edit';
+    editButton.onclick = () => editWaypoint(waypoint);
     const exportButton = document.createElement('button');
-    exportButton.textContent = 'Export GPX';
-    exportButton.onclick = () => exportWaypointAsGPX(waypoint);
+    exportButton.textContent = 'Export';
+    exportButton.onclick = () => {
+        if (window.WaypointTransfer) window.WaypointTransfer.exportWaypoints([waypoint], window.WaypointTransfer.getSelectedFormat());
+    };
     const deleteButton = document.createElement('button');
     deleteButton.textContent = 'Delete';
     deleteButton.onclick = async () => {
         if (confirm(`Are you sure you want to delete waypoint "${waypoint.name}" (ID: ${waypoint.id})?`)) {
             try {
                 await db.waypoints.delete(waypoint.id);
+                if (window.Photos) await window.Photos.deletePhotosFor({ waypointId: waypoint.id });
                 console.log("[WaypointLogic] Deleted waypoint from DB:", waypoint.name, "ID:", waypoint.id);
                 loadAndDisplaySavedWaypoints();
             } catch (error) {
@@ -160,41 +354,18 @@ function addWaypointToList(waypoint, container) {
             }
         }
     };
+    item.appendChild(photoStrip);
     item.appendChild(viewButton);
+    item.appendChild(goToButton);
+    item.appendChild(editButton);
+    item.appendChild(photoButton);
+    item.appendChild(photoInput);
     item.appendChild(exportButton);
     item.appendChild(deleteButton);
     container.appendChild(item);
     console.log(`[WaypointLogic] addWaypointToList: AFTER adding waypoint ID ${waypoint.id}. Current children in container: ${container.children.length}`);
 }
 
-function exportWaypointAsGPX(waypoint) {
-    const gpxContent = 
-`<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
-<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd" version="1.1" creator="QueenRoseApp">
-  <metadata>
-    <name>Waypoint - ${waypoint.name}</name>
-    <time>${waypoint.timestamp}</time>
-  </metadata>
-  <wpt lat="${waypoint.lat}" lon="${waypoint.lon}">
-    <ele>0</ele>
-    <time>${waypoint.timestamp}</time>
-    <name>${waypoint.name}</name>
-    <desc>${waypoint.description || ''}</desc>
-    <sym>flag</sym>
-  </wpt>
-</gpx>`;
-    const blob = new Blob([gpxContent], { type: 'application/gpx+xml' });
-    const fileName = `Waypoint_${waypoint.name.replace(/[^a-z0-9]/gi, '_')}.gpx`;
-    const link = document.createElement('a');
-    link.href = URL.createObjectURL(blob);
-    link.download = fileName;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(link.href);
-    console.log("[WaypointLogic] Exported waypoint as GPX:", waypoint.name);
-}
-
 async function loadAndDisplaySavedWaypoints() {
     if (isLoadingWaypoints) {
         console.warn("[WaypointLogic] loadAndDisplaySavedWaypoints: Already in progress. Skipping call.");
@@ -231,12 +402,15 @@ async function loadAndDisplaySavedWaypoints() {
         if (waypoints.length === 0) {
             waypointsListContainer.innerHTML = '<p>No waypoints saved yet.</p>';
         } else {
-             waypoints.forEach(waypoint => {
+             const shownWaypoints = waypoints.filter(waypointMatchesFilter);
+             if (shownWaypoints.length === 0) waypointsListContainer.innerHTML = '<p>No waypoints in this category.</p>';
+             shownWaypoints.forEach(waypoint => {
                 console.log(`[WaypointLogic] loadAndDisplaySavedWaypoints: Processing waypoint ID ${waypoint.id} ('${waypoint.name}') for display.`);
                 addWaypointToMap(waypoint); 
                 addWaypointToList(waypoint, waypointsListContainer); 
             });
         }
+        if (window.Geofence) window.Geofence.reload();
         console.log(`[WaypointLogic] loadAndDisplaySavedWaypoints: AFTER loop, list container has ${waypointsListContainer.children.length} children.`);
     } catch (error) {
         console.error("[WaypointLogic] loadAndDisplaySavedWaypoints: Error loading from DB:", error);
@@ -250,6 +424,15 @@ document.addEventListener("DOMContentLoaded", () => {
     console.log("[WaypointLogic] DOMContentLoaded, waypoint_logic.js specific initializations can run here.");
     if (typeof map !== 'undefined' && map) {
         waypointMarkersLayer.addTo(map);
+        map.on('contextmenu', handleMapContextMenu);
+    }
+    const categoryFilter = document.getElementById('waypoint-category-filter');
+    if (categoryFilter) {
+        WAYPOINT_CATEGORIES.forEach(category => categoryFilter.add(new Option(`${category.icon} ${category.label}`, category.id)));
+        categoryFilter.addEventListener('change', () => {
+            waypointCategoryFilter = categoryFilter.value;
+            loadAndDisplaySavedWaypoints();
+        });
     }
     if (typeof loadAndDisplaySavedWaypoints === 'function') {
         loadAndDisplaySavedWaypoints(); 
@@ -0,0 +1,237 @@
+// js/waypoint_navigation.js
+// "Go to" mode for a saved waypoint: straight-line distance, bearing and ETA on every GPS update,
+// and an arrow that points at the waypoint using the phone's compass (or the GPS course when
+// there is no compass). Notifies the hiker on arrival within a set radius.
+
+(function() {
+    'use strict';
+
+    console.log("[WaypointNavigation] waypoint_navigation.js loaded.");
+
+    const ARRIVAL_RADIUS_KEY = 'goToArrivalRadius';
+    const DEFAULT_ARRIVAL_RADIUS = 25; // metres
+    const MAX_FIX_ACCURACY = 100; // metres - worse fixes are ignored
+    const SPEED_WINDOW_MS = 60 * 1000; // ETA uses the average speed over the last minute
+    const MIN_ETA_SPEED = 0.3; // m/s - slower than this and no ETA is shown
+    const MIN_COURSE_SPEED = 0.5; // m/s - the GPS course is meaningless when standing still
+    const COMPASS_STALE_MS = 3000; // Fall back to the GPS course when the compass goes quiet
+
+    let panel;
+    let target = null; // The waypoint being navigated to
+    let watchId = null;
+    let lastFixTimestamp = 0;
+    let recentFixes = [];
+    let lastBearing = null;
+    let courseHeading = null;
+    let compassHeading = null;
+    let compassTime = 0;
+    let arrived = false;
+    let guideLine = null;
+    let arrivalRadius = parseFloat(localStorage.getItem(ARRIVAL_RADIUS_KEY)) || DEFAULT_ARRIVAL_RADIUS;
+    let arrowEl, headingSourceEl, distanceEl, bearingEl, etaEl, messageEl;
+
+    const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+    function currentHeading() {
+        if (compassHeading !== null && Date.now() - compassTime <= COMPASS_STALE_MS) return { heading: compassHeading, source: 'compass' };
+        if (courseHeading !== null) return { heading: courseHeading, source: 'GPS course' };
+        return null;
+    }
+
+    function updateArrow() {
+        if (!arrowEl || lastBearing === null) return;
+        const heading = currentHeading();
+        const rotation = heading ? lastBearing - heading.heading : lastBearing;
+        arrowEl.style.transform = `rotate(${Math.round(rotation)}deg)`;
+        headingSourceEl.textContent = heading ? `Pointing by ${heading.source}` : 'No compass - arrow is relative to north';
+    }
+
+    // iOS reports webkitCompassHeading; other browsers an absolute alpha (counter-clockwise from north)
+    function handleOrientation(event) {
+        let heading = null;
+        if (typeof event.webkitCompassHeading === 'number') heading = event.webkitCompassHeading;
+        else if (event.absolute && typeof event.alpha === 'number') heading = 360 - event.alpha;
+        if (heading === null || isNaN(heading)) return;
+        const screenAngle = (screen.orientation && screen.orientation.angle) || window.orientation || 0;
+        compassHeading = (heading + screenAngle + 360) % 360;
+        compassTime = Date.now();
+        updateArrow();
+    }
+
+    function orientationEventName() {
+        return 'ondeviceorientationabsolute' in window ? 'deviceorientationabsolute' : 'deviceorientation';
+    }
+
+    function averageSpeed() {
+        if (recentFixes.length < 2) return null;
+        const first = recentFixes[0];
+        const last = recentFixes[recentFixes.length - 1];
+        const seconds = (last.ts - first.ts) / 1000;
+        return seconds > 0 ? calculateTotalDistance(recentFixes) / seconds : null;
+    }
+
+    function handleFix(position) {
+        if (!target) return;
+        const timestamp = position.timestamp || Date.now();
+        if (timestamp <= lastFixTimestamp) return; // Same fix delivered by several watchers
+        lastFixTimestamp = timestamp;
+        const { latitude, longitude, accuracy, speed, heading } = position.coords;
+        if (accuracy > MAX_FIX_ACCURACY) return;
+
+        const point = { lat: latitude, lng: longitude, ts: timestamp };
+        recentFixes.push(point);
+        recentFixes = recentFixes.filter(fix => timestamp - fix.ts <= SPEED_WINDOW_MS);
+        courseHeading = typeof heading === 'number' && !isNaN(heading) && speed !== null && speed >= MIN_COURSE_SPEED ? heading : null;
+
+        const destination = { lat: target.lat, lng: target.lon };
+        const distance = haversineDistance(point, destination);
+        lastBearing = calculateBearing(point, destination);
+        const averaged = averageSpeed();
+        const currentSpeed = averaged !== null ? averaged : speed;
+
+        distanceEl.textContent = distance >= 1000 ? `${(distance / 1000).toFixed(2)} km` : `${Math.round(distance)} m`;
+        bearingEl.textContent = `${COMPASS_POINTS[Math.round(lastBearing / 45) % 8]} ${Math.round(lastBearing)}°`;
+        etaEl.textContent = currentSpeed && currentSpeed >= MIN_ETA_SPEED
+            ? `${formatDuration((distance / currentSpeed) * 1000)} (${(currentSpeed * 3.6).toFixed(1)} km/h)`
+            : '—';
+        updateArrow();
+        drawGuideLine(point, destination);
+
+        if (distance <= arrivalRadius && !arrived) {
+            arrived = true;
+            notifyArrival(distance);
+        } else if (distance > arrivalRadius * 1.5 && arrived) {
+            arrived = false; // Re-arm once the hiker has clearly left again
+            messageEl.style.display = 'none';
+        }
+    }
+
+    function drawGuideLine(point, destination) {
+        if (typeof map === 'undefined' || !map) return;
+        const latLngs = [[point.lat, point.lng], [destination.lat, destination.lng]];
+        if (guideLine) guideLine.setLatLngs(latLngs);
+        else guideLine = L.polyline(latLngs, { color: '#1565C0', weight: 3, dashArray: '6, 8', opacity: 0.8 }).addTo(map);
+    }
+
+    function notifyArrival(distance) {
+        const text = `You have arrived at ${target.name} (${Math.round(distance)} m away).`;
+        console.log(`[WaypointNavigation - arrival] ${text}`);
+        messageEl.textContent = `✅ ${text}`;
+        messageEl.style.display = 'block';
+        if (navigator.vibrate) navigator.vibrate([300, 100, 300]);
+        if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+            const options = { body: text, tag: 'goto-arrival' };
+            // Mobile browsers only allow notifications through the service worker
+            if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+                navigator.serviceWorker.ready.then(registration => registration.showNotification('Waypoint reached', options));
+            } else {
+                new Notification('Waypoint reached', options);
+            }
+        }
+    }
+
+    function renderPanel() {
+        panel.innerHTML = `
+            <p><strong>Going to ${escapeXml(target.name)}</strong>
+                <button class="track-compare-close" id="goto-stop-btn" title="Stop navigating">✕</button></p>
+            <p class="goto-message" style="display: none;"></p>
+            <div class="goto-compass">
+                <div class="goto-arrow">⬆</div>
+                <small class="goto-heading-source">Waiting for GPS...</small>
+            </div>
+            <div class="trail-progress-grid">
+                <div><small>Distance</small><strong class="goto-distance">—</strong></div>
+                <div><small>Bearing</small><strong class="goto-bearing">—</strong></div>
+                <div><small>ETA</small><strong class="goto-eta">—</strong></div>
+            </div>
+            <label for="goto-arrival-radius">Notify me within</label>
+            <input type="number" id="goto-arrival-radius" class="number-input-compact" min="5" max="500" step="5" value="${arrivalRadius}"> m
+        `;
+        arrowEl = panel.querySelector('.goto-arrow');
+        headingSourceEl = panel.querySelector('.goto-heading-source');
+        distanceEl = panel.querySelector('.goto-distance');
+        bearingEl = panel.querySelector('.goto-bearing');
+        etaEl = panel.querySelector('.goto-eta');
+        messageEl = panel.querySelector('.goto-message');
+        panel.querySelector('#goto-stop-btn').addEventListener('click', stopNavigation);
+        panel.querySelector('#goto-arrival-radius').addEventListener('change', (event) => {
+            const value = parseFloat(event.target.value);
+            if (isNaN(value) || value < 5) return;
+            arrivalRadius = value;
+            localStorage.setItem(ARRIVAL_RADIUS_KEY, String(value));
+        });
+        panel.style.display = 'block';
+    }
+
+    // Must be called from a user gesture: iOS only grants compass access in response to one
+    function startNavigation(waypoint) {
+        if (!navigator.geolocation) {
+            alert("Geolocation is not supported by your browser.");
+            return;
+        }
+        if (!panel) return;
+        stopNavigation();
+        target = waypoint;
+        arrived = false;
+        recentFixes = [];
+        lastBearing = null;
+        courseHeading = null;
+        compassHeading = null;
+
+        if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
+            DeviceOrientationEvent.requestPermission()
+                .then(state => { if (state === 'granted') window.addEventListener(orientationEventName(), handleOrientation); })
+                .catch(error => console.warn("[WaypointNavigation - start] Compass permission denied:", error));
+        } else {
+            window.addEventListener(orientationEventName(), handleOrientation);
+        }
+        if (typeof Notification !== 'undefined' && Notification.permission === 'default') Notification.requestPermission();
+
+        renderPanel();
+        watchId = navigator.geolocation.watchPosition(
+            handleFix,
+            (error) => {
+                console.error(`[WaypointNavigation - watch] Code: ${error.code}, Message: ${error.message}`);
+                headingSourceEl.textContent = `GPS Error: ${error.message}`;
+            },
+            { enableHighAccuracy: true, timeout: 20000, maximumAge: 0 }
+        );
+        if (typeof window.switchSection === 'function') window.switchSection('map');
+        if (typeof map !== 'undefined' && map) map.setView([waypoint.lat, waypoint.lon], Math.max(map.getZoom(), 14));
+        console.log(`[WaypointNavigation - start] Navigating to waypoint ID ${waypoint.id}.`);
+    }
+
+    function stopNavigation() {
+        if (watchId !== null) navigator.geolocation.clearWatch(watchId);
+        watchId = null;
+        window.removeEventListener(orientationEventName(), handleOrientation);
+        if (guideLine && typeof map !== 'undefined' && map) map.removeLayer(guideLine);
+        guideLine = null;
+        if (target) console.log("[WaypointNavigation - stop] Navigation stopped.");
+        target = null;
+        if (panel) panel.style.display = 'none';
+    }
+
+    function initWaypointNavigation() {
+        panel = document.getElementById('goto-panel');
+        if (!panel) {
+            console.warn("[WaypointNavigation - init] Go-to panel not found.");
+            return;
+        }
+        console.log("[WaypointNavigation - init] Waypoint navigation initialised.");
+    }
+
+    window.addEventListener('gps-position', (event) => handleFix(event.detail.position));
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initWaypointNavigation);
+    } else {
+        initWaypointNavigation();
+    }
+
+    window.WaypointNavigation = {
+        start: startNavigation,
+        stop: stopNavigation,
+        getTarget: () => target
+    };
+})();
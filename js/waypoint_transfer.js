@@ -0,0 +1,539 @@
+// js/waypoint_transfer.js
+// Export saved waypoints as GPX, KML, GeoJSON or CSV (several waypoints go into one file), and
+// import waypoints from GPX <wpt> elements, KML Points, GeoJSON Points and CSV lat/lon columns.
+// Imported waypoints that match a saved one by name and position are skipped.
+
+(function() {
+    'use strict';
+
+    console.log("[WaypointTransfer] waypoint_transfer.js loaded.");
+
+    const SUPPORTED_EXTENSIONS = ['.gpx', '.kml', '.csv', '.geojson', '.json'];
+    const DUPLICATE_DISTANCE = 50; // metres - a waypoint with the same name this close is a duplicate
+    const MAX_ICON_LENGTH = 8; // code points - enough for any emoji, including flags and joined sequences
+
+    // GPX <sym> names understood by Garmin devices and most mapping apps
+    const GPX_SYMBOLS = {
+        water: 'Drinking Water',
+        camp: 'Campground',
+        hazard: 'Danger Area',
+        viewpoint: 'Scenic Area',
+        parking: 'Parking Area',
+        custom: 'Flag, Blue'
+    };
+
+    let importInput, importStatusDiv, formatSelect;
+
+    function hasValue(value) {
+        return value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value));
+    }
+
+    function isoTime(timestamp) {
+        const time = new Date(timestamp);
+        return isNaN(time.getTime()) ? null : time.toISOString();
+    }
+
+    // #RRGGBB -> KML's aabbggrr
+    function kmlColor(hex) {
+        const match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex || '');
+        return match ? `ff${match[3]}${match[2]}${match[1]}`.toLowerCase() : 'ffffffff';
+    }
+
+    function toGPX(waypoints) {
+        const documentName = waypoints.length === 1 ? waypoints[0].name : `${waypoints.length} waypoints`;
+        let gpx = `<?xml version="1.0" encoding="UTF-8" standalone="no" ?>
+<gpx xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd" version="1.1" creator="QueenRoseHikingApp">
+  <metadata>
+    <name>${escapeXml(documentName)}</name>
+    <time>${new Date().toISOString()}</time>
+  </metadata>
+`;
+        waypoints.forEach(waypoint => {
+            const category = waypoint.category || 'custom';
+            const time = isoTime(waypoint.timestamp);
+            gpx += `  <wpt lat="${waypoint.lat}" lon="${waypoint.lon}">
+`;
+            if (hasValue(waypoint.alt)) gpx += `    <ele>${waypoint.alt}</ele>
+`;
+            if (time) gpx += `    <time>${time}</time>
+`;
+            gpx += `    <name>${escapeXml(waypoint.name)}</name>
+`;
+            if (waypoint.description) gpx += `    <desc>${escapeXml(waypoint.description)}</desc>
+`;
+            gpx += `    <sym>${escapeXml(GPX_SYMBOLS[category] || GPX_SYMBOLS.custom)}</sym>
+    <type>${escapeXml(category)}</type>
+  </wpt>
+`;
+        });
+        gpx += `</gpx>`;
+        return gpx;
+    }
+
+    // KML: one Placemark per waypoint, styled with its category colour
+    function toKML(waypoints) {
+        const documentName = waypoints.length === 1 ? waypoints[0].name : `${waypoints.length} waypoints`;
+        let kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(documentName)}</name>
+`;
+        const categories = Array.from(new Set(waypoints.map(waypoint => waypoint.category || 'custom')));
+        categories.forEach(categoryId => {
+            kml += `    <Style id="waypoint-${escapeXml(categoryId)}">
+      <IconStyle><color>${kmlColor(getWaypointCategory(categoryId).color)}</color></IconStyle>
+    </Style>
+`;
+        });
+        waypoints.forEach(waypoint => {
+            const category = waypoint.category || 'custom';
+            const coordinates = `${waypoint.lon},${waypoint.lat}${hasValue(waypoint.alt) ? `,${waypoint.alt}` : ''}`;
+            kml += `    <Placemark>
+      <name>${escapeXml(waypoint.name)}</name>
+`;
+            if (waypoint.description) kml += `      <description>${escapeXml(waypoint.description)}</description>
+`;
+            const time = isoTime(waypoint.timestamp);
+            if (time) kml += `      <TimeStamp><when>${time}</when></TimeStamp>
+`;
+            kml += `      <styleUrl>#waypoint-${escapeXml(category)}</styleUrl>
+      <ExtendedData>
+        <Data name="category"><value>${escapeXml(category)}</value></Data>
+      </ExtendedData>
+      <Point>
+`;
+            if (hasValue(waypoint.alt)) kml += `        <altitudeMode>absolute</altitudeMode>
+`;
+            kml += `        <coordinates>${coordinates}</coordinates>
+      </Point>
+    </Placemark>
+`;
+        });
+        kml += `  </Document>
+</kml>`;
+        return kml;
+    }
+
+    function waypointsToGeoJSON(waypoints) {
+        const features = waypoints.map(waypoint => ({
+            type: 'Feature',
+            properties: {
+                name: waypoint.name,
+                description: waypoint.description || '',
+                category: waypoint.category || 'custom',
+                icon: waypoint.icon || null,
+                color: waypoint.color || null,
+                time: isoTime(waypoint.timestamp)
+            },
+            geometry: {
+                type: 'Point',
+                coordinates: hasValue(waypoint.alt) ? [waypoint.lon, waypoint.lat, waypoint.alt] : [waypoint.lon, waypoint.lat]
+            }
+        }));
+        return JSON.stringify({ type: 'FeatureCollection', features: features }, null, 2);
+    }
+
+    function csvField(value) {
+        if (!hasValue(value)) return '';
+        const text = String(value);
+        return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCSV(waypoints) {
+        const rows = ['name,latitude,longitude,elevation_m,category,icon,color,description,timestamp'];
+        waypoints.forEach(waypoint => {
+            rows.push([
+                waypoint.name,
+                waypoint.lat,
+                waypoint.lon,
+                waypoint.alt,
+                waypoint.category || 'custom',
+                waypoint.icon,
+                waypoint.color,
+                waypoint.description,
+                isoTime(waypoint.timestamp)
+            ].map(csvField).join(','));
+        });
+        return rows.join('\n') + '\n';
+    }
+
+    const EXPORT_FORMATS = {
+        gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml', convert: toGPX },
+        kml: { label: 'KML (Google Earth)', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml', convert: toKML },
+        geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json', convert: waypointsToGeoJSON },
+        csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', convert: toCSV }
+    };
+
+    function convertWaypoints(waypoints, formatId) {
+        const format = EXPORT_FORMATS[formatId];
+        if (!format) throw new Error(`Unknown export format: ${formatId}`);
+        return format.convert(waypoints);
+    }
+
+    // Convert and download; returns the file name used
+    function exportWaypoints(waypoints, formatId) {
+        if (!waypoints || waypoints.length === 0) throw new Error('No waypoints to export.');
+        const format = EXPORT_FORMATS[formatId] || EXPORT_FORMATS.gpx;
+        const baseName = waypoints.length === 1 ? `Waypoint_${waypoints[0].name}` : `waypoints_${new Date().toISOString().slice(0, 10)}`;
+        const filename = `${baseName.replace(/[^a-z0-9_\-]/gi, '_')}.${format.extension}`;
+        downloadFile(format.convert(waypoints), filename, format.mimeType);
+        return filename;
+    }
+
+    // --- Import ---
+
+    function readFileAsText(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsText(file);
+        });
+    }
+
+    function parseXml(text) {
+        const doc = new DOMParser().parseFromString(text, 'text/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('The file is not valid XML.');
+        }
+        return doc;
+    }
+
+    // Namespace-agnostic lookups, so GPX 1.0/1.1 and KML 2.1/2.2 documents all match
+    function elementsByName(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    function childText(parent, localName) {
+        const child = Array.from(parent.childNodes).find(node => node.nodeType === 1 && node.localName === localName);
+        return child ? child.textContent.trim() : null;
+    }
+
+    // GeoJSON properties can hold numbers (e.g. "name": 42), so values are turned into text before use
+    function fieldText(value) {
+        return hasValue(value) ? String(value).trim() : '';
+    }
+
+    // A category id as written by this app, or one guessed from a GPX symbol name
+    function matchCategory(...candidates) {
+        for (const candidate of candidates) {
+            const text = fieldText(candidate).toLowerCase();
+            if (!text) continue;
+            const byId = WAYPOINT_CATEGORIES.find(category => category.id === text || category.label.toLowerCase() === text);
+            if (byId) return byId.id;
+            const bySymbol = Object.keys(GPX_SYMBOLS).find(id => GPX_SYMBOLS[id].toLowerCase() === text);
+            if (bySymbol) return bySymbol;
+        }
+        return 'custom';
+    }
+
+    // The colour ends up in an inline style and the colour input, so only #RRGGBB is accepted;
+    // anything else (e.g. "red;background-image:url(...)") gets the category colour
+    function importedColor(color, category) {
+        return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color.trim()) ? color.trim() : getWaypointCategory(category).color;
+    }
+
+    function importedIcon(icon, category) {
+        const text = typeof icon === 'string' ? icon.trim() : '';
+        return text && Array.from(text).length <= MAX_ICON_LENGTH ? text : getWaypointCategory(category).icon;
+    }
+
+    function makeWaypoint(lat, lon, ele, fields) {
+        const alt = hasValue(ele) && ele !== '' ? parseFloat(ele) : null;
+        const time = fields.time ? Date.parse(fields.time) : NaN;
+        const category = fields.category || 'custom';
+        return {
+            name: fieldText(fields.name),
+            description: fieldText(fields.description),
+            category: category,
+            icon: importedIcon(fields.icon, category),
+            color: importedColor(fields.color, category),
+            lat: parseFloat(lat),
+            lon: parseFloat(lon),
+            alt: alt !== null && !isNaN(alt) ? alt : null,
+            timestamp: isNaN(time) ? null : new Date(time).toISOString()
+        };
+    }
+
+    function isValidWaypoint(waypoint) {
+        return !isNaN(waypoint.lat) && !isNaN(waypoint.lon) && Math.abs(waypoint.lat) <= 90 && Math.abs(waypoint.lon) <= 180;
+    }
+
+    // GPX: every <wpt>; track and route points are not waypoints
+    function parseGpx(text) {
+        const doc = parseXml(text);
+        return elementsByName(doc, 'wpt').map(wpt => makeWaypoint(wpt.getAttribute('lat'), wpt.getAttribute('lon'), childText(wpt, 'ele'), {
+            name: childText(wpt, 'name'),
+            description: childText(wpt, 'desc') || childText(wpt, 'cmt'),
+            category: matchCategory(childText(wpt, 'type'), childText(wpt, 'sym')),
+            time: childText(wpt, 'time')
+        }));
+    }
+
+    // KML: every Placemark with a Point
+    function parseKml(text) {
+        const doc = parseXml(text);
+        const waypoints = [];
+        elementsByName(doc, 'Placemark').forEach(placemark => {
+            const point = elementsByName(placemark, 'Point')[0];
+            const coordinates = point && elementsByName(point, 'coordinates')[0];
+            if (!coordinates) return;
+            const [lon, lat, ele] = coordinates.textContent.trim().split(',');
+            const categoryData = elementsByName(placemark, 'Data').find(data => data.getAttribute('name') === 'category');
+            const when = elementsByName(placemark, 'when')[0];
+            waypoints.push(makeWaypoint(lat, lon, ele, {
+                name: childText(placemark, 'name'),
+                description: childText(placemark, 'description'),
+                category: matchCategory(categoryData ? categoryData.textContent : null),
+                time: when ? when.textContent.trim() : null
+            }));
+        });
+        return waypoints;
+    }
+
+    function parseGeoJson(text) {
+        const geojson = JSON.parse(text);
+        const features = geojson.type === 'FeatureCollection' ? geojson.features
+            : geojson.type === 'Feature' ? [geojson]
+            : [{ type: 'Feature', properties: {}, geometry: geojson }];
+        return (features || []).filter(feature => feature && feature.geometry && feature.geometry.type === 'Point').map(feature => {
+            const props = feature.properties || {};
+            const [lon, lat, ele] = feature.geometry.coordinates;
+            return makeWaypoint(lat, lon, ele, {
+                name: props.name || props.title,
+                description: props.description || props.desc,
+                category: matchCategory(props.category, props.sym),
+                icon: props.icon,
+                color: props.color,
+                time: props.time || props.timestamp
+            });
+        });
+    }
+
+    // Split CSV text into rows of fields, honouring quoted fields with embedded separators and newlines
+    function parseCsvRows(text, separator) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === separator) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(fields => fields.some(value => value.trim() !== ''));
+    }
+
+    const CSV_COLUMNS = {
+        lat: /^(lat|latitude|y)$/,
+        lon: /^(lon|lng|long|longitude|x)$/,
+        name: /^(name|title|label)$/,
+        ele: /^(ele|elevation|elevation_m|alt|altitude|altitude_m)$/,
+        description: /^(desc|description|notes|comment)$/,
+        category: /^(category|type|sym|symbol)$/,
+        icon: /^icon$/,
+        color: /^(color|colour)$/,
+        time: /^(time|timestamp|date)$/
+    };
+
+    // CSV: needs a header row with latitude and longitude columns; other known columns are optional.
+    // Semicolon-separated files (common with European spreadsheet settings) are detected from the header.
+    function parseCsv(text) {
+        const content = text.replace(/^\uFEFF/, ''); // Spreadsheet apps often add a byte order mark
+        const firstLine = content.split(/\r?\n/, 1)[0];
+        const separator = firstLine.includes(';') && !firstLine.includes(',') ? ';' : ',';
+        const rows = parseCsvRows(content, separator);
+        if (rows.length === 0) return [];
+        const header = rows[0].map(column => column.trim().toLowerCase());
+        const columnIndex = {};
+        Object.keys(CSV_COLUMNS).forEach(key => { columnIndex[key] = header.findIndex(column => CSV_COLUMNS[key].test(column)); });
+        if (columnIndex.lat === -1 || columnIndex.lon === -1) {
+            throw new Error('The CSV file needs "latitude" and "longitude" columns.');
+        }
+        const value = (fields, key) => columnIndex[key] === -1 ? null : (fields[columnIndex[key]] || '').trim();
+        return rows.slice(1).map(fields => makeWaypoint(value(fields, 'lat'), value(fields, 'lon'), value(fields, 'ele'), {
+            name: value(fields, 'name'),
+            description: value(fields, 'description'),
+            category: matchCategory(value(fields, 'category')),
+            icon: value(fields, 'icon'),
+            color: value(fields, 'color'),
+            time: value(fields, 'time')
+        }));
+    }
+
+    // Parse a file's text into waypoints based on its extension
+    function parseWaypointFile(fileName, text) {
+        const extension = fileName.slice(fileName.lastIndexOf('.')).toLowerCase();
+        let waypoints;
+        if (extension === '.gpx') waypoints = parseGpx(text);
+        else if (extension === '.kml') waypoints = parseKml(text);
+        else if (extension === '.csv') waypoints = parseCsv(text);
+        else if (extension === '.geojson' || extension === '.json') waypoints = parseGeoJson(text);
+        else throw new Error(`Unsupported file type "${extension}".`);
+        return waypoints.filter(isValidWaypoint);
+    }
+
+    function normaliseName(name) {
+        return (name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    // A saved waypoint with the same name within DUPLICATE_DISTANCE, or null
+    function findDuplicate(waypoint, existingWaypoints) {
+        const name = normaliseName(waypoint.name);
+        return existingWaypoints.find(existing => normaliseName(existing.name) === name &&
+            haversineDistance({ lat: existing.lat, lng: existing.lon }, { lat: waypoint.lat, lng: waypoint.lon }) <= DUPLICATE_DISTANCE) || null;
+    }
+
+    function buildWaypointRecord(waypoint, fileName, index) {
+        return {
+            name: waypoint.name || `${fileName.replace(/\.[^.]+$/, '')} ${index + 1}`,
+            description: waypoint.description,
+            category: waypoint.category,
+            icon: waypoint.icon,
+            color: waypoint.color,
+            alt: waypoint.alt,
+            lat: waypoint.lat,
+            lon: waypoint.lon,
+            dms: {
+                lat: decimalToDMS(waypoint.lat, "lat"),
+                lon: decimalToDMS(waypoint.lon, "lon")
+            },
+            timestamp: waypoint.timestamp || new Date().toISOString(),
+            source: 'import',
+            importedFrom: fileName
+        };
+    }
+
+    // Returns { imported, skipped } counts
+    async function importWaypointFile(file) {
+        const text = await readFileAsText(file);
+        const waypoints = parseWaypointFile(file.name, text);
+        if (waypoints.length === 0) {
+            throw new Error('No waypoints were found.');
+        }
+        const existing = await db.waypoints.toArray();
+        const records = [];
+        waypoints.forEach((waypoint, index) => {
+            const record = buildWaypointRecord(waypoint, file.name, index);
+            // Also checked against earlier rows of the same file, so a file with repeats imports each once
+            if (findDuplicate(record, existing)) return;
+            records.push(record);
+            existing.push(record);
+        });
+        if (records.length > 0) await db.waypoints.bulkAdd(records);
+        console.log(`[WaypointTransfer - import] Imported ${records.length} waypoint(s) from ${file.name}, skipped ${waypoints.length - records.length} duplicate(s).`);
+        return { imported: records.length, skipped: waypoints.length - records.length };
+    }
+
+    async function handleImportChange(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+        const messages = [];
+        for (const file of files) {
+            const lowerName = file.name.toLowerCase();
+            if (!SUPPORTED_EXTENSIONS.some(ext => lowerName.endsWith(ext))) {
+                messages.push(`${file.name}: unsupported file type (use GPX, KML, CSV or GeoJSON).`);
+                continue;
+            }
+            importStatusDiv.textContent = `Importing ${file.name}...`;
+            try {
+                const result = await importWaypointFile(file);
+                messages.push(`${file.name}: imported ${result.imported} waypoint(s)${result.skipped > 0 ? `, skipped ${result.skipped} already saved` : ''}.`);
+            } catch (error) {
+                console.error(`[WaypointTransfer - import] Error importing ${file.name}:`, error);
+                messages.push(`${file.name}: ${error.message}`);
+            }
+        }
+        importStatusDiv.innerHTML = messages.map(message => escapeXml(message)).join('<br>');
+        importInput.value = '';
+        loadAndDisplaySavedWaypoints();
+    }
+
+    function getSelectedFormat() {
+        return formatSelect ? formatSelect.value : 'gpx';
+    }
+
+    async function handleExport(selectedOnly) {
+        try {
+            let waypoints;
+            if (selectedOnly) {
+                const ids = Array.from(document.querySelectorAll('.waypoint-select-checkbox:checked'))
+                    .map(checkbox => parseInt(checkbox.dataset.waypointId, 10))
+                    .filter(id => !isNaN(id));
+                if (ids.length === 0) {
+                    alert("Tick the waypoints you want to export first.");
+                    return;
+                }
+                waypoints = (await db.waypoints.bulkGet(ids)).filter(Boolean);
+            } else {
+                waypoints = await db.waypoints.toArray();
+                if (waypoints.length === 0) {
+                    alert("There are no saved waypoints to export.");
+                    return;
+                }
+            }
+            const filename = exportWaypoints(waypoints, getSelectedFormat());
+            console.log(`[WaypointTransfer - export] Exported ${waypoints.length} waypoint(s) as ${filename}.`);
+        } catch (error) {
+            console.error("[WaypointTransfer - export] Error exporting waypoints:", error);
+            alert("Error exporting waypoints.");
+        }
+    }
+
+    function initWaypointTransfer() {
+        importInput = document.getElementById('waypoint-import-input');
+        importStatusDiv = document.getElementById('waypoint-import-status');
+        formatSelect = document.getElementById('waypoint-export-format');
+        const exportSelectedButton = document.getElementById('export-selected-waypoints-btn');
+        const exportAllButton = document.getElementById('export-all-waypoints-btn');
+        if (exportSelectedButton) exportSelectedButton.addEventListener('click', () => handleExport(true));
+        if (exportAllButton) exportAllButton.addEventListener('click', () => handleExport(false));
+        if (!importInput || !importStatusDiv) {
+            console.warn("[WaypointTransfer - init] Waypoint import input or status element not found.");
+            return;
+        }
+        importInput.addEventListener('change', handleImportChange);
+        console.log("[WaypointTransfer - init] Waypoint import and export initialised.");
+    }
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', initWaypointTransfer);
+    } else {
+        initWaypointTransfer();
+    }
+
+    window.WaypointTransfer = {
+        formats: EXPORT_FORMATS,
+        convertWaypoints,
+        exportWaypoints,
+        getSelectedFormat,
+        parseWaypointFile,
+        findDuplicate,
+        importWaypointFile
+    };
+})();
@@ -1,5 +1,5 @@
 // Enhanced service worker for Queen Rose Hiking Trail App
-const CACHE_NAME = 'queen-rose-hiking-trail-v4';
+const CACHE_NAME = 'queen-rose-hiking-trail-v5';
 
 // Function to get the base path for the current deployment
 function getBasePath() {
@@ -17,8 +17,23 @@ const urlsToCache = [
   './css/vendor/splide.min.css',
   './js/app.js',
   './js/map.js',
+  './js/trail_pois.js',
   './js/trails.js',
   './js/gps_tracking.js',
+  './js/track_import.js',
+  './js/track_export.js',
+  './js/track_editor.js',
+  './js/track_compare.js',
+  './js/track_replay.js',
+  './js/track_analysis.js',
+  './js/logbook.js',
+  './js/photos.js',
+  './js/photo_import.js',
+  './js/waypoint_navigation.js',
+  './js/geofence.js',
+  './js/waypoint_transfer.js',
+  './js/trail_follow.js',
+  './js/trail_progress.js',
   './js/waypoint_logic.js',
   './js/kml_management.js',
   './js/booking.js',
@@ -36,83 +51,45 @@ const urlsToCache = [
   './js/vendor/splide.min.js',
   './assets/queens_river_logo.png',
   './assets/hiker_waypoint_icon_yellow.png',
-  './manifest.json'
+  './manifest.json',
+  './trails.json'
 ];
 
-// Add KML files to cache
-const kmlFiles = [
-  './kml/2 - Day Trail - 19.2 km.kml',
-  './kml/2 Day Trail, day 1 - 13 km.kml',
-  './kml/2 Day Trail, day 2 - 6.2 km.kml',
-  './kml/3 - Day Trail - 39.5 km.kml',
-  './kml/3 Day Trail, day 1 - 10.9 km.kml',
-  './kml/3 Day Trail, day 2 - 13 km.kml',
-  './kml/3 Day Trail, day 3 - 15.6 km.kml',
-  './kml/4 - Day Trail - 49 km.kml',
-  './kml/4 Day Trail, day 1 - 15.6 km.kml',
-  './kml/4 Day Trail, day 2 - 6.2 km.kml',
-  './kml/4 Day Trail, day 3 - 13 km.kml',
-  './kml/4 Day Trail, day 4- 14.2 km.kml',
-  './kml/5 - Day Trail - 53.5 km.kml',
-  './kml/5 Day Trail, day 1 - 10.9 km.kml',
-  './kml/5 Day Trail, day 2 - 12.5 km.kml',
-  './kml/5 Day Trail, day 3 - 13 km.kml',
-  './kml/5 Day Trail, day 4 - 6.2 km.kml',
-  './kml/5 Day Trail, day 5 - 10.9 km.kml',
-  './kml/6 - Day Trail - 64.7 km.kml',
-  './kml/6 Day Trail, day 1 - 10.9 km.kml',
-  './kml/6 Day Trail, day 2 - 12.5 km.kml',
-  './kml/6 Day Trail, day 3 - 13 km.kml',
-  './kml/6 Day Trail, day 4 - 6.2 km.kml',
-  './kml/6 Day Trail, day 5 - 6.5 km.kml',
-  './kml/6 Day Trail, day 6 - 15.6 km.kml',
-  './kml/Cupids Falls Trail - 2.8 km.kml',
-  './kml/Devils Knuckles Trail - 10.9 km.kml',
-  './kml/MTB Trail 1 - 29.9 km.kml',
-  './kml/Matumi Trail - 6.2 km.kml',
-  './kml/Oukraal Trail - 12.5 km.kml',
-  './kml/Ram PumpTrail - 1.6 km.kml'
-];
-
-// Add elevation images to cache
-const elevationImages = [
-  './img/elevation/3 day trail - day 1 elevation.jpg',
-  './img/elevation/3 day trail - day 2 elevation.jpg',
-  './img/elevation/3 day trail - day 3 elevation.jpg',
-  './img/elevation/4 day trail - day 1 elevation.jpg',
-  './img/elevation/4 day trail - day 2 elevation.jpg',
-  './img/elevation/4 day trail - day 3 elevation.jpg',
-  './img/elevation/4 day trail - day 4 elevation.jpg',
-  './img/elevation/5 day trail - day 1 elevation.jpg',
-  './img/elevation/5 day trail - day 2 elevation.jpg',
-  './img/elevation/5 day trail - day 3 elevation.jpg',
-  './img/elevation/5 day trail - day 4 elevation.jpg',
-  './img/elevation/5 day trail - day 5 elevation.jpg',
-  './img/elevation/6 day trail - day 1 elevation.jpg',
-  './img/elevation/6 day trail - day 2 elevation.jpg',
-  './img/elevation/6 day trail - day 3 elevation.jpg',
-  './img/elevation/6 day trail - day 4 elevation.jpg',
-  './img/elevation/6 day trail - day 5 elevation.jpg',
-  './img/elevation/6 day trail - day 6 elevation.jpg',
-  './img/elevation/Cupids Trail Elevation.jpg',
-  './img/elevation/Devils Knuckles Trail Elevation.jpg',
-  './img/elevation/Matumi Lane Trail Elevation.jpg',
-  './img/elevation/Mountain Bike Trail Elevations.jpg',
-  './img/elevation/Ou Kraal Trail Elevation.jpg',
-  './img/elevation/Ram Pump Trail Elevation.jpg'
-];
+// The trail catalog lists every KML file and elevation image, so they are cached from it
+const TRAILS_MANIFEST_URL = './trails.json';
 
-// Combine all resources to cache
-const allResourcesToCache = [...urlsToCache, ...kmlFiles, ...elevationImages];
+// Cache the KML and elevation image of every trail in the manifest
+function precacheTrailFiles() {
+  return fetch(TRAILS_MANIFEST_URL, { cache: 'no-store' })
+    .then(response => {
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status} for ${TRAILS_MANIFEST_URL}`);
+      }
+      return response.clone().json().then(manifest => ({ manifest, response }));
+    })
+    .then(({ manifest, response }) => {
+      const trailFiles = [];
+      (manifest.trails || []).forEach(trail => {
+        if (trail.kml) trailFiles.push(`./${trail.kml}`);
+        if (trail.elevationImage) trailFiles.push(`./${trail.elevationImage}`);
+      });
+      return caches.open(CACHE_NAME).then(cache => {
+        console.log(`[Service Worker] Caching ${trailFiles.length} trail files from manifest version ${manifest.version}`);
+        return cache.put(TRAILS_MANIFEST_URL, response)
+          .then(() => cache.addAll([...new Set(trailFiles)]));
+      });
+    });
+}
 
 self.addEventListener('install', event => {
   console.log('[Service Worker] Installing...');
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(cache => {
-        console.log('[Service Worker] Caching all resources');
-        return cache.addAll(allResourcesToCache);
+        console.log('[Service Worker] Caching core resources');
+        return cache.addAll(urlsToCache);
       })
+      .then(() => precacheTrailFiles())
       .then(() => {
         console.log('[Service Worker] Installation complete');
         return self.skipWaiting();
@@ -138,6 +115,16 @@ self.addEventListener('activate', event => {
   );
 });
 
+// The app asks for the trail files to be cached again when the manifest version changes
+self.addEventListener('message', event => {
+  if (event.data && event.data.type === 'PRECACHE_TRAILS') {
+    console.log('[Service Worker] Precache of trail files requested');
+    event.waitUntil(
+      precacheTrailFiles().catch(error => console.error('[Service Worker] Trail precache failed:', error))
+    );
+  }
+});
+
 // Consolidated fetch handler for all requests
 self.addEventListener('fetch', event => {
   const url = new URL(event.request.url);
@@ -184,6 +171,25 @@ self.addEventListener('fetch', event => {
     return; // Exit early after handling navigation request
   }
   
+  // The trails manifest is network first so new or changed trails show up while online
+  if (url.pathname.endsWith('/trails.json')) {
+    event.respondWith(
+      fetch(event.request)
+        .then(response => {
+          if (response && response.status === 200) {
+            const responseToCache = response.clone();
+            caches.open(CACHE_NAME).then(cache => cache.put(event.request, responseToCache));
+          }
+          return response;
+        })
+        .catch(() => {
+          console.log('[Service Worker] Fetch failed for trails manifest, trying cache');
+          return caches.match(event.request);
+        })
+    );
+    return;
+  }
+
   // Special handling for map tiles
   if (requestURL.includes('tile.openstreetmap.org') || 
       requestURL.includes('api.mapbox.com')) {